@@ -2,21 +2,62 @@ const { supabaseAdmin } = require('../lib/supabase');
 const { 
   rateLimit, 
   validateImageData, 
+  isValidUUID,
   sanitizeInput, 
   configureCORS, 
   logSecurityEvent,
+  checkPromptInjection,
   sanitizeError
 } = require('../lib/security');
-const OpenAI = require('openai');
+const {
+  LLM_CONFIG,
+  OWN_KEY_PROVIDERS,
+  isSupportedProvider,
+  isOwnKeyProvider,
+  isProviderConfigured,
+  resolveProviderName,
+  classifyProviderError
+} = require('../lib/llm');
+const {
+  QUALITY_LEVELS,
+  isValidQuality,
+  resolveModelRoute,
+  completeWithFallback
+} = require('../lib/models');
+const { isSupportedPlatform, enforceLengthLimit } = require('../lib/platforms');
+const { getPersona } = require('../lib/personas');
+const { DEFAULT_SYSTEM_PROMPT } = require('../lib/prompts');
+const { validateThreadInput, renderThreadText } = require('../lib/post-input');
+const { normalizeImage } = require('../lib/images');
+const { joinPostText, storeGenerationContext } = require('../lib/generations');
+const { quoteRequest, priceUsage } = require('../lib/pricing');
+const { buildAnalysisRequest } = require('../lib/analysis');
+const {
+  LANGUAGES,
+  parseReplyLanguage,
+  resolveReplyLanguage,
+  detectTextLanguage,
+  extractLanguageTag
+} = require('../lib/languages');
+const {
+  validateGuardTerms,
+  buildGuardOptions,
+  generateGuarded,
+  applyGuardCorrection,
+  sumUsage
+} = require('../lib/guard');
+const {
+  reserveCredits,
+  consumeCredits,
+  releaseCredits
+} = require('../lib/credits');
 
-// Initialize OpenAI with API key from environment
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Per-image model call limit, so one slow image cannot push the batch past the function timeout
+const BATCH_ITEM_TIMEOUT_MS = 8000;
 
-// Verify OpenAI API key exists
-if (!process.env.OPENAI_API_KEY) {
-  console.error('[CRITICAL] OpenAI API key not configured');
+// Verify the default LLM provider is configured
+if (!isProviderConfigured(LLM_CONFIG.DEFAULT_PROVIDER)) {
+  console.error('[CRITICAL] LLM provider not configured:', LLM_CONFIG.DEFAULT_PROVIDER);
   process.exit(1);
 }
 
@@ -47,6 +88,7 @@ module.exports = async (req, res) => {
 
   const token = authHeader.replace('Bearer ', '');
   let user;
+  let creditHold = null;
 
   try {
     // Verify user authentication
@@ -70,7 +112,50 @@ module.exports = async (req, res) => {
     }
 
     // Validate request body
-    const { images, context, systemPrompt, userApiKey } = req.body;
+    const { 
+      images, 
+      thread,
+      context, 
+      systemPrompt, 
+      userApiKey, 
+      provider, 
+      platform, 
+      persona_id,
+      quality,
+      reply_language
+    } = req.body;
+
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported provider' });
+    }
+
+    if (userApiKey && provider !== undefined && !isOwnKeyProvider(provider)) {
+      return res.status(400).json({ error: `userApiKey only works with these providers: ${OWN_KEY_PROVIDERS.join(', ')}` });
+    }
+
+    if (platform !== undefined && !isSupportedPlatform(platform)) {
+      return res.status(400).json({ error: 'Unsupported platform' });
+    }
+
+    if (persona_id !== undefined && !isValidUUID(persona_id)) {
+      return res.status(400).json({ error: 'Invalid persona_id' });
+    }
+
+    if (quality !== undefined && !isValidQuality(quality)) {
+      return res.status(400).json({ error: `quality must be one of: ${QUALITY_LEVELS.join(', ')}` });
+    }
+
+    const requestedLanguage = parseReplyLanguage(reply_language);
+    if (requestedLanguage === null) {
+      return res.status(400).json({ 
+        error: `reply_language must be 'auto' or one of: ${Object.keys(LANGUAGES).join(', ')}` 
+      });
+    }
+
+    const guardValidation = validateGuardTerms(req.body);
+    if (!guardValidation.valid) {
+      return res.status(400).json({ error: guardValidation.error });
+    }
 
     if (!Array.isArray(images) || images.length === 0) {
       return res.status(400).json({ error: 'Images array is required' });
@@ -95,211 +180,283 @@ module.exports = async (req, res) => {
       }
     }
 
+    // Validate structured thread context (shared by all images)
+    let threadInput = null;
+    if (thread !== undefined && thread !== null) {
+      const threadValidation = validateThreadInput(thread);
+      if (!threadValidation.valid) {
+        return res.status(400).json({ error: threadValidation.error });
+      }
+      threadInput = threadValidation.thread;
+    }
+
     // Sanitize text inputs
     const sanitizedContext = sanitizeInput(context);
     const sanitizedSystemPrompt = sanitizeInput(systemPrompt);
 
+    // Injection attempts are logged; the layered prompt keeps them from acting as instructions
+    checkPromptInjection(user.id, {
+      context: sanitizedContext,
+      systemPrompt: sanitizedSystemPrompt,
+      thread: threadInput && renderThreadText(threadInput)
+    }, 'analyze-batch');
+
+    // Load the requested persona, or the user's default one when no custom prompt is sent
+    let persona = null;
+    if (persona_id || !sanitizedSystemPrompt) {
+      persona = await getPersona(user.id, persona_id);
+      if (persona_id && !persona) {
+        return res.status(404).json({ error: 'Persona not found' });
+      }
+    }
+
+    const guardOptions = buildGuardOptions({
+      terms: guardValidation.terms,
+      persona,
+      systemPrompt: sanitizedSystemPrompt || DEFAULT_SYSTEM_PROMPT
+    });
+
     // Check if user is using their own API key or credits
     const isUsingOwnApiKey = !!userApiKey;
-    
+
+    // Pick the LLM provider (user's own key, per-user assignment or configured default)
+    let userProvider = null;
+    let userTier = null;
     if (!isUsingOwnApiKey) {
-      // Check available credits
-      const now = new Date().toISOString();
-      const { data: activePurchases } = await supabaseAdmin
-        .from('credit_purchases')
-        .select('remaining_credits')
-        .eq('user_id', user.id)
-        .gt('remaining_credits', 0)
-        .or(`expires_at.is.null,expires_at.gt.${now}`);
-
-      const availableCredits = activePurchases 
-        ? activePurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-        : 0;
-
-      if (availableCredits < images.length) {
-        return res.status(402).json({ 
-          error: `Insufficient credits. Need ${images.length}, have ${availableCredits}`, 
-          available_credits: availableCredits,
-          required_credits: images.length
+      const { data: profile } = await supabaseAdmin
+        .from('users')
+        .select('llm_provider, tier')
+        .eq('id', user.id)
+        .single();
+      userProvider = profile?.llm_provider;
+      userTier = profile?.tier;
+    }
+
+    const providerName = resolveProviderName({ 
+      userApiKey, 
+      requestedProvider: provider, 
+      userProvider 
+    });
+
+    // Pick the model for the requested quality within what the user's tier allows
+    const modelRoute = resolveModelRoute({
+      providerName,
+      quality: quality || 'balanced',
+      tier: userTier,
+      ownKey: isUsingOwnApiKey
+    });
+
+    // Reply in the requested or persona language, otherwise in each post's own (reported by the model)
+    const replyLanguage = resolveReplyLanguage(requestedLanguage, persona);
+    const textLanguage = detectTextLanguage([
+      threadInput?.original_post?.text,
+      threadInput?.parent_comment?.text
+    ]) || detectTextLanguage([sanitizedContext]);
+
+    // Every image gets the same request apart from its position and screenshot
+    const buildImageRequest = (index, imageDataUrl, modelEntry) => buildAnalysisRequest({
+      systemPrompt: sanitizedSystemPrompt,
+      persona,
+      platform,
+      replyLanguage,
+      context: sanitizedContext,
+      thread: threadInput,
+      hasImage: true,
+      image: imageDataUrl,
+      suffix: ` (Image ${index + 1} of ${images.length})`,
+      userId: user.id
+    }, modelEntry);
+
+    // Quote each image at the largest normalized size, since sizes are only known after normalization
+    const imageQuote = quoteRequest({
+      entry: modelRoute.primary,
+      request: buildImageRequest(images.length - 1, null, modelRoute.primary),
+      images: [{}]
+    });
+    const requiredCredits = images.length * imageQuote.credits;
+
+    if (!isUsingOwnApiKey && requiredCredits > 0) {
+      // Reserve the quote per image; the hold is released if any analysis fails
+      const reservation = await reserveCredits(user.id, requiredCredits, '[Batch]');
+
+      if (!reservation.success) {
+        return res.status(reservation.status).json({ 
+          error: reservation.status === 402
+            ? `Insufficient credits. Need ${requiredCredits}, have ${reservation.availableCredits || 0}`
+            : reservation.error, 
+          available_credits: reservation.availableCredits || 0,
+          required_credits: requiredCredits
         });
       }
+      creditHold = reservation;
     }
-
-    // Default system prompt
-    const DEFAULT_SYSTEM_PROMPT = `You are a helpful AI assistant that creates engaging social media comments and responses. 
-Your responses should be:
-- Friendly and conversational
-- Relevant to the content shown
-- Concise (1-3 sentences usually)
-- Appropriate for the platform context
-Never use quotation marks around your response.`;
-
-    // Use user's API key if provided, otherwise use system key
-    const openaiClient = isUsingOwnApiKey ? new OpenAI({ apiKey: userApiKey }) : openai;
     
     // Process all images in parallel
-    logSecurityEvent('OPENAI_BATCH_REQUEST', { 
+    logSecurityEvent('LLM_BATCH_REQUEST', { 
       userId: user.id, 
       usingOwnKey: isUsingOwnApiKey,
+      provider: providerName,
+      quality: modelRoute.primary.quality,
       imageCount: images.length 
     });
     
-    const analysisPromises = images.map(async (imageDataUrl, index) => {
-      const messages = [
-        {
-          role: 'system',
-          content: sanitizedSystemPrompt || DEFAULT_SYSTEM_PROMPT
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: `${sanitizedContext || 'Please analyze this image and provide an appropriate response.'} (Image ${index + 1} of ${images.length})`
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: imageDataUrl,
-                detail: 'high'
-              }
-            }
-          ]
-        }
-      ];
-
-      const completion = await openaiClient.chat.completions.create({
-        model: 'gpt-4o',
-        messages: messages,
-        max_tokens: 300,
-        temperature: 0.7,
-        user: user.id // For OpenAI's abuse monitoring
-      });
+    // Each image succeeds or fails on its own; one failure does not sink the batch
+    const settled = await Promise.allSettled(images.map(async (image, index) => {
+      let processedImage;
+      try {
+        processedImage = await normalizeImage(image);
+      } catch (error) {
+        error.errorCode = 'invalid_image';
+        throw error;
+      }
+
+      // The output guard may regenerate the reply once within the image's time budget
+      const deadline = Date.now() + BATCH_ITEM_TIMEOUT_MS;
+      const guarded = await generateGuarded(async correction => {
+        const attempt = await completeWithFallback(modelRoute, modelEntry => applyGuardCorrection(
+          buildImageRequest(index, processedImage.dataUrl, modelEntry),
+          correction
+        ), { userApiKey, timeoutMs: deadline - Date.now(), logPrefix: '[Batch]' });
+
+        const tagged = extractLanguageTag(attempt.completion.text);
+        const limited = enforceLengthLimit(tagged.text, platform);
+        return { ...attempt, postLanguage: tagged.language, text: limited.text, truncated: limited.truncated };
+      }, guardOptions, { deadline, logPrefix: '[Batch]' });
+
+      const { completion, entry, fellBack, text, truncated, postLanguage } = guarded.output;
+      const detectedLanguage = postLanguage || textLanguage;
+      const usage = sumUsage(guarded.attempts.map(attempt => attempt.completion));
 
       return {
-        response: completion.choices[0].message.content,
-        tokensUsed: completion.usage?.total_tokens || 0,
-        index: index
+        response: text,
+        truncated,
+        tokensUsed: usage.totalTokens,
+        usage,
+        provider: completion.provider,
+        model: completion.model,
+        modelEntry: entry,
+        fellBack,
+        warnings: guarded.warnings,
+        regenerated: guarded.regenerated,
+        detectedLanguage,
+        outputLanguage: replyLanguage || detectedLanguage,
+        imageMetadata: processedImage.metadata
       };
-    });
+    }));
 
-    const results = await Promise.all(analysisPromises);
-    
-    // Sort by index to maintain order
-    results.sort((a, b) => a.index - b.index);
-    
-    // Deduct credits if not using own API key
-    let remainingCredits = null;
-    
-    if (!isUsingOwnApiKey) {
-      const now = new Date().toISOString();
-      
-      // Deduct credits for all images
-      let creditsToDeduct = images.length;
-      
-      while (creditsToDeduct > 0) {
-        // Find the oldest credit purchase with remaining credits
-        const { data: creditPurchase, error: findError } = await supabaseAdmin
-          .from('credit_purchases')
-          .select('id, remaining_credits, subscription_id')
-          .eq('user_id', user.id)
-          .gt('remaining_credits', 0)
-          .or(`expires_at.is.null,expires_at.gt.${now}`)
-          .order('created_at', { ascending: true })
-          .limit(1)
-          .single();
-        
-        if (findError || !creditPurchase) {
-          console.error('No valid credit purchase found:', findError);
-          return res.status(402).json({ 
-            error: 'Failed to deduct credits',
-            details: findError?.message
-          });
-        }
-        
-        // Deduct as many credits as possible from this purchase
-        const creditsFromThisPurchase = Math.min(creditsToDeduct, creditPurchase.remaining_credits);
-        
-        const { error: creditError } = await supabaseAdmin
-          .from('credit_purchases')
-          .update({ 
-            remaining_credits: creditPurchase.remaining_credits - creditsFromThisPurchase,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', creditPurchase.id);
-        
-        if (creditError) {
-          console.error('Failed to deduct credit:', creditError);
-          return res.status(500).json({ 
-            error: 'Failed to deduct credit',
-            details: creditError?.message
-          });
-        }
-        
-        creditsToDeduct -= creditsFromThisPurchase;
-        
-        // Log usage for each credit used
-        for (let i = 0; i < creditsFromThisPurchase; i++) {
-          const resultIndex = images.length - creditsToDeduct - creditsFromThisPurchase + i;
-          const { error: logError } = await supabaseAdmin
-            .from('api_usage')
-            .insert([{
-              user_id: user.id,
-              purchase_id: creditPurchase.id,
-              subscription_id: creditPurchase.subscription_id,
-              context: sanitizedContext ? sanitizedContext.substring(0, 100) : null,
-              ai_response: results[resultIndex].response.substring(0, 200),
-              credits_used: 1,
-              api_key_used: false
-            }]);
-          
-          if (logError) {
-            console.error('Usage log error:', logError);
-          }
-        }
+    const results = settled.map((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        return { index, status: 'success', errorCode: null, ...outcome.value };
       }
-      
-      // Get updated credits
-      const { data: updatedPurchases } = await supabaseAdmin
-        .from('credit_purchases')
-        .select('remaining_credits')
-        .eq('user_id', user.id)
-        .gt('remaining_credits', 0)
-        .or(`expires_at.is.null,expires_at.gt.${now}`);
-
-      remainingCredits = updatedPurchases 
-        ? updatedPurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-        : 0;
-    } else {
-      // Log usage for user's own API key
-      for (const result of results) {
-        const { error: logError } = await supabaseAdmin
-          .from('api_usage')
-          .insert([{
-            user_id: user.id,
-            purchase_id: null,
-            subscription_id: null,
-            context: sanitizedContext ? sanitizedContext.substring(0, 100) : null,
-            ai_response: result.response.substring(0, 200),
-            credits_used: 0,
-            api_key_used: true
-          }]);
-        
-        if (logError) {
-          console.error('Usage log error:', logError);
-        }
+
+      const errorCode = outcome.reason.errorCode || classifyProviderError(outcome.reason).errorCode;
+      console.error('[Batch] Image failed:', { index, errorCode, message: outcome.reason.message });
+      return { index, status: 'failed', errorCode, response: null, tokensUsed: 0, usage: null, warnings: [] };
+    });
+
+    const succeeded = results.filter(result => result.status === 'success').length;
+
+    // Successful images are priced on their actual usage, never above the per-image quote
+    results.forEach(result => {
+      result.pricing = result.status === 'success'
+        ? priceUsage({ entry: result.modelEntry, usage: result.usage, maxCredits: imageQuote.credits })
+        : null;
+      result.credits = result.pricing && !isUsingOwnApiKey ? result.pricing.credits : 0;
+    });
+    const creditsCharged = results.reduce((sum, result) => sum + result.credits, 0);
+
+    // Charge the successful images, log every image (failures with their error code)
+    // and return the unused part of the hold, all in one transaction
+    const consumption = await consumeCredits({
+      userId: user.id,
+      holdId: creditHold?.holdId || null,
+      usageRows: results.map(result => ({
+        context: sanitizedContext ? sanitizedContext.substring(0, 100) : null,
+        ai_response: result.response ? result.response.substring(0, 200) : null,
+        credits_used: result.credits,
+        status: result.status,
+        error_code: result.errorCode,
+        platform: platform || null,
+        persona_id: persona?.id || null,
+        quality: result.modelEntry?.quality || modelRoute.primary.quality,
+        fallback_used: !!result.fellBack,
+        cost_usd: result.pricing?.costUsd ?? null,
+        pricing: result.pricing?.breakdown ?? null,
+        guard_warnings: [...new Set(result.warnings.map(warning => warning.code))],
+        regenerated: !!result.regenerated,
+        detected_language: result.detectedLanguage || null,
+        reply_language: result.outputLanguage || null,
+        provider: result.provider || providerName,
+        model: result.model || modelRoute.primary.model,
+        input_tokens: result.usage?.inputTokens ?? null,
+        output_tokens: result.usage?.outputTokens ?? null,
+        api_key_used: isUsingOwnApiKey
+      }))
+    }, '[Batch]');
+
+    if (!consumption.success) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'charge_failed', '[Batch]');
       }
+      return res.status(consumption.status).json({ 
+        error: consumption.error,
+        details: consumption.details
+      });
     }
+    creditHold = null;
 
-    // Success response
+    const remainingCredits = isUsingOwnApiKey ? null : consumption.remainingCredits;
+
+    // Keep the context of each successful image so it can be refined later
+    results.forEach((result, i) => {
+      result.generationId = result.status === 'success' ? consumption.usageIds[i] || null : null;
+    });
+    await Promise.all(results
+      .filter(result => result.generationId)
+      .map(result => storeGenerationContext(user.id, result.generationId, {
+        response: result.response,
+        context: sanitizedContext,
+        postText: joinPostText(threadInput && renderThreadText(threadInput)),
+        systemPrompt: sanitizedSystemPrompt,
+        platform,
+        personaId: persona?.id || null
+      })));
+
+    // Per-image results; clients retry only the failed indexes
     return res.status(200).json({
-      success: true,
+      success: succeeded > 0,
+      results: results.map(result => ({
+        index: result.index,
+        status: result.status,
+        generation_id: result.generationId,
+        response: result.response,
+        truncated: !!result.truncated,
+        error_code: result.errorCode,
+        quality: result.modelEntry?.quality || null,
+        warnings: result.warnings,
+        regenerated: !!result.regenerated,
+        detected_language: result.detectedLanguage || null,
+        reply_language: result.outputLanguage || null,
+        credits: result.credits,
+        tokens_used: result.tokensUsed
+      })),
       responses: results.map(r => r.response),
+      succeeded_count: succeeded,
+      failed_count: results.length - succeeded,
+      platform: platform || null,
+      persona_id: persona?.id || null,
+      images_metadata: results.map(result => result.imageMetadata || null),
+      credits_charged: creditsCharged,
       remaining_credits: remainingCredits,
       total_tokens_used: results.reduce((sum, r) => sum + r.tokensUsed, 0)
     });
 
   } catch (error) {
+    // Failed batches never cost credits
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, 'error', '[Batch]');
+    }
+
     logSecurityEvent('API_ERROR', { 
       userId: user?.id,
       error: error.message,
@@ -309,12 +466,12 @@ Never use quotation marks around your response.`;
     // Handle specific errors
     if (error.status === 429) {
       return res.status(429).json({ 
-        error: 'OpenAI rate limit exceeded. Please try again later.' 
+        error: 'AI provider rate limit exceeded. Please try again later.' 
       });
     }
     
     if (error.status === 401) {
-      console.error('[CRITICAL] OpenAI API authentication failed');
+      console.error('[CRITICAL] LLM provider authentication failed');
       return res.status(500).json({ 
         error: 'Service temporarily unavailable' 
       });
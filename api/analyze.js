@@ -2,21 +2,91 @@ const { supabaseAdmin } = require('../lib/supabase');
 const { 
   rateLimit, 
   validateImageData, 
+  isValidUUID,
   sanitizeInput, 
   configureCORS, 
   logSecurityEvent,
+  checkPromptInjection,
   sanitizeError
 } = require('../lib/security');
-const OpenAI = require('openai');
+const {
+  CANDIDATE_CONFIG,
+  parseCandidateCount,
+  parseCandidates
+} = require('../lib/candidates');
+const {
+  reserveCredits,
+  consumeCredits,
+  releaseCredits
+} = require('../lib/credits');
+const { startEventStream, sendEvent } = require('../lib/sse');
+const {
+  LLM_CONFIG,
+  OWN_KEY_PROVIDERS,
+  isSupportedProvider,
+  isOwnKeyProvider,
+  isProviderConfigured,
+  resolveProviderName,
+  getProvider
+} = require('../lib/llm');
+const {
+  QUALITY_LEVELS,
+  isValidQuality,
+  resolveModelRoute,
+  completeWithFallback
+} = require('../lib/models');
+const { isSupportedPlatform, enforceLengthLimit } = require('../lib/platforms');
+const { getPersona } = require('../lib/personas');
+const { DEFAULT_SYSTEM_PROMPT } = require('../lib/prompts');
+const {
+  validatePostInput,
+  validateThreadInput,
+  getInputMode,
+  renderPostText,
+  renderThreadText
+} = require('../lib/post-input');
+const { normalizeImage } = require('../lib/images');
+const {
+  CACHE_CONFIG,
+  buildCacheKey,
+  getCachedResponse,
+  storeCachedResponse
+} = require('../lib/cache');
+const { joinPostText, storeGenerationContext } = require('../lib/generations');
+const { quoteRequest, priceUsage } = require('../lib/pricing');
+const { buildAnalysisRequest } = require('../lib/analysis');
+const {
+  LANGUAGES,
+  parseReplyLanguage,
+  resolveReplyLanguage,
+  detectTextLanguage,
+  extractLanguageTag,
+  createLanguageTagStripper
+} = require('../lib/languages');
+const {
+  validateDraftInput,
+  parsePolishResult,
+  diffWords
+} = require('../lib/polish');
+const {
+  GUARD_CONFIG,
+  validateGuardTerms,
+  buildGuardOptions,
+  checkOutput,
+  checkReplies,
+  generateGuarded,
+  applyGuardCorrection,
+  sumUsage
+} = require('../lib/guard');
 
-// Initialize OpenAI with API key from environment
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Streaming responses must finish within the Vercel function limit
+const STREAM_TIMEOUT_MS = 8500;
+// Time for the model call(s), including a fallback, before the 504 guard answers
+const LLM_TIMEOUT_MS = 7000;
 
-// Verify OpenAI API key exists
-if (!process.env.OPENAI_API_KEY) {
-  console.error('[CRITICAL] OpenAI API key not configured');
+// Verify the default LLM provider is configured
+if (!isProviderConfigured(LLM_CONFIG.DEFAULT_PROVIDER)) {
+  console.error('[CRITICAL] LLM provider not configured:', LLM_CONFIG.DEFAULT_PROVIDER);
   process.exit(1);
 }
 
@@ -71,6 +141,7 @@ module.exports = async (req, res) => {
   const token = authHeader.replace('Bearer ', '');
   console.log('[Analyze] Token received:', token.substring(0, 20) + '...');
   let user;
+  let creditHold = null;
 
   try {
     // Verify user authentication
@@ -97,232 +168,424 @@ module.exports = async (req, res) => {
     }
 
     // Validate request body
-    const { imageDataUrl, context, systemPrompt, userApiKey } = req.body;
-
-    // Validate image data
-    const imageValidation = validateImageData(imageDataUrl);
-    if (!imageValidation.valid) {
-      logSecurityEvent('INVALID_IMAGE_DATA', { 
-        userId: user.id, 
-        error: imageValidation.error 
+    const { 
+      imageDataUrl, 
+      post,
+      thread,
+      context, 
+      systemPrompt, 
+      userApiKey, 
+      candidates, 
+      stream, 
+      provider, 
+      platform,
+      persona_id,
+      cache,
+      quality,
+      reply_language,
+      draft
+    } = req.body;
+
+    const requestedLanguage = parseReplyLanguage(reply_language);
+    if (requestedLanguage === null) {
+      return res.status(400).json({ 
+        error: `reply_language must be 'auto' or one of: ${Object.keys(LANGUAGES).join(', ')}` 
       });
-      return res.status(400).json({ error: imageValidation.error });
     }
 
+    const guardValidation = validateGuardTerms(req.body);
+    if (!guardValidation.valid) {
+      return res.status(400).json({ error: guardValidation.error });
+    }
+
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported provider' });
+    }
+
+    if (userApiKey && provider !== undefined && !isOwnKeyProvider(provider)) {
+      return res.status(400).json({ error: `userApiKey only works with these providers: ${OWN_KEY_PROVIDERS.join(', ')}` });
+    }
+
+    if (platform !== undefined && !isSupportedPlatform(platform)) {
+      return res.status(400).json({ error: 'Unsupported platform' });
+    }
+
+    if (persona_id !== undefined && !isValidUUID(persona_id)) {
+      return res.status(400).json({ error: 'Invalid persona_id' });
+    }
+
+    if (quality !== undefined && !isValidQuality(quality)) {
+      return res.status(400).json({ error: `quality must be one of: ${QUALITY_LEVELS.join(', ')}` });
+    }
+
+    const candidateCount = parseCandidateCount(candidates);
+    if (candidateCount === null) {
+      return res.status(400).json({ 
+        error: `candidates must be an integer between 1 and ${CANDIDATE_CONFIG.MAX_CANDIDATES}` 
+      });
+    }
+
+    const isStreaming = stream === true;
+    if (isStreaming && candidateCount > 1) {
+      return res.status(400).json({ error: 'Streaming is only available for single-candidate requests' });
+    }
+
+    // A draft to polish instead of writing a new reply; the post is then optional context
+    let draftInput = null;
+    if (draft !== undefined && draft !== null) {
+      const draftValidation = validateDraftInput(req.body);
+      if (!draftValidation.valid) {
+        return res.status(400).json({ error: draftValidation.error });
+      }
+      if (candidateCount > 1 || isStreaming) {
+        return res.status(400).json({ error: 'draft cannot be combined with candidates or stream' });
+      }
+      draftInput = draftValidation.draft;
+    }
+
+    // A screenshot, structured post/thread text, or both
+    const hasImage = !!imageDataUrl;
+    const hasPost = post !== undefined && post !== null;
+    const hasThread = thread !== undefined && thread !== null;
+    if (!hasImage && !hasPost && !hasThread && !draftInput) {
+      return res.status(400).json({ error: 'Either imageDataUrl, post or thread is required' });
+    }
+
+    // Validate and normalize image data
+    let processedImage = null;
+    if (hasImage) {
+      const imageValidation = validateImageData(imageDataUrl);
+      if (!imageValidation.valid) {
+        logSecurityEvent('INVALID_IMAGE_DATA', { 
+          userId: user.id, 
+          error: imageValidation.error 
+        });
+        return res.status(400).json({ error: imageValidation.error });
+      }
+
+      try {
+        processedImage = await normalizeImage(imageDataUrl);
+        console.log('[Analyze] Image normalized:', processedImage.metadata);
+      } catch (error) {
+        logSecurityEvent('INVALID_IMAGE_DATA', { 
+          userId: user.id, 
+          error: error.message 
+        });
+        return res.status(400).json({ error: 'Invalid image data' });
+      }
+    }
+
+    // Validate structured post text
+    let postInput = null;
+    if (hasPost) {
+      const postValidation = validatePostInput(post);
+      if (!postValidation.valid) {
+        return res.status(400).json({ error: postValidation.error });
+      }
+      postInput = postValidation.post;
+    }
+
+    // Validate structured thread context
+    let threadInput = null;
+    if (hasThread) {
+      const threadValidation = validateThreadInput(thread);
+      if (!threadValidation.valid) {
+        return res.status(400).json({ error: threadValidation.error });
+      }
+      threadInput = threadValidation.thread;
+    }
+
+    const inputMode = draftInput ? 'polish' : getInputMode(hasImage, hasPost || hasThread);
+
     // Sanitize text inputs
     const sanitizedContext = sanitizeInput(context);
     const sanitizedSystemPrompt = sanitizeInput(systemPrompt);
 
+    // Injection attempts are logged; the layered prompt keeps them from acting as instructions
+    checkPromptInjection(user.id, {
+      context: sanitizedContext,
+      systemPrompt: sanitizedSystemPrompt,
+      post: postInput && renderPostText(postInput),
+      thread: threadInput && renderThreadText(threadInput),
+      draft: draftInput && draftInput.text,
+      tone: draftInput && draftInput.tone
+    }, 'analyze');
+
+    // Load the requested persona, or the user's default one when no custom prompt is sent
+    let persona = null;
+    if (persona_id || !sanitizedSystemPrompt) {
+      persona = await getPersona(user.id, persona_id);
+      if (persona_id && !persona) {
+        return res.status(404).json({ error: 'Persona not found' });
+      }
+    }
+
     // Check if user is using their own API key or credits
     const isUsingOwnApiKey = !!userApiKey;
-    
+
+    // Pick the LLM provider (user's own key, per-user assignment or configured default)
+    let userProvider = null;
+    let userTier = null;
     if (!isUsingOwnApiKey) {
-      // Check available credits from credit_purchases table only
-      const now = new Date().toISOString();
-      const { data: activePurchases } = await supabaseAdmin
-        .from('credit_purchases')
-        .select('remaining_credits')
-        .eq('user_id', user.id)
-        .gt('expires_at', now)
-        .gt('remaining_credits', 0);
-
-      const availableCredits = activePurchases 
-        ? activePurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-        : 0;
-
-      if (!availableCredits || availableCredits < 1) {
-        return res.status(402).json({ 
-          error: 'Insufficient credits', 
-          available_credits: 0 
+      const { data: profile } = await supabaseAdmin
+        .from('users')
+        .select('llm_provider, tier')
+        .eq('id', user.id)
+        .single();
+      userProvider = profile?.llm_provider;
+      userTier = profile?.tier;
+    }
+
+    const providerName = resolveProviderName({ 
+      userApiKey, 
+      requestedProvider: provider, 
+      userProvider 
+    });
+
+    // Pick the model for the requested quality within what the user's tier allows
+    const modelRoute = resolveModelRoute({
+      providerName,
+      quality: quality || 'fast',
+      tier: userTier,
+      ownKey: isUsingOwnApiKey
+    });
+    if (modelRoute.downgraded) {
+      console.log('[Analyze] Quality downgraded for tier:', quality, '->', modelRoute.primary.quality);
+    }
+    const llm = getProvider(providerName, userApiKey);
+
+    // Prepare model request (image detail and output budget depend on the catalog entry)
+    // Reply in the requested or persona language, otherwise in the post's. Text input is detected
+    // here; the model reports the language of screenshots (and overrides the text guess)
+    // A draft keeps its own language unless another one is requested
+    const replyLanguage = resolveReplyLanguage(requestedLanguage, persona) ||
+      (draftInput ? detectTextLanguage([draftInput.text]) : null);
+    const textLanguage = detectTextLanguage([
+      postInput?.text,
+      threadInput?.original_post?.text,
+      threadInput?.parent_comment?.text
+    ]) || detectTextLanguage([sanitizedContext]);
+
+    // Candidates and polished drafts come back as JSON
+    const jsonOutput = candidateCount > 1 || !!draftInput;
+    const buildLlmRequest = modelEntry => buildAnalysisRequest({
+      systemPrompt: sanitizedSystemPrompt,
+      persona,
+      platform,
+      replyLanguage,
+      context: sanitizedContext,
+      post: postInput,
+      thread: threadInput,
+      draft: draftInput,
+      candidateCount,
+      hasImage,
+      image: processedImage?.dataUrl,
+      userId: user.id
+    }, modelEntry);
+    const llmRequest = { model: modelRoute.primary.model, ...buildLlmRequest(modelRoute.primary) };
+    
+    // Serve repeated requests for the same post from the response cache
+    const useCache = CACHE_CONFIG.ENABLED && cache !== false;
+    const cacheKey = useCache ? buildCacheKey(providerName, llmRequest, processedImage?.hash) : null;
+    const guardOptions = buildGuardOptions({
+      terms: guardValidation.terms,
+      persona,
+      systemPrompt: sanitizedSystemPrompt || DEFAULT_SYSTEM_PROMPT
+    });
+
+    // A cached reply that fails this request's guard checks (e.g. newly blocked words) is not reused
+    let cachedEntry = cacheKey ? await getCachedResponse(user.id, cacheKey) : null;
+    if (cachedEntry && GUARD_CONFIG.ENABLED &&
+        checkReplies({ text: cachedEntry.response, candidates: cachedEntry.candidates }, guardOptions).length > 0) {
+      cachedEntry = null;
+    }
+
+    // Quote the primary model (an upper bound); the actual usage is priced after generation
+    const quote = quoteRequest({
+      entry: modelRoute.primary,
+      request: llmRequest,
+      images: processedImage ? [processedImage.metadata] : [],
+      features: { candidates: candidateCount }
+    });
+    const creditCost = cachedEntry ? CACHE_CONFIG.HIT_CREDITS : quote.credits;
+    
+    // Reserve the quote before calling the model; the hold is released if anything fails
+    if (!isUsingOwnApiKey && creditCost > 0) {
+      const reservation = await reserveCredits(user.id, creditCost, '[Analyze]');
+
+      if (!reservation.success) {
+        return res.status(reservation.status).json({ 
+          error: reservation.error, 
+          available_credits: reservation.availableCredits || 0,
+          required_credits: creditCost
         });
       }
+      creditHold = reservation;
     }
 
-    // Default system prompt with sanitization
-    const DEFAULT_SYSTEM_PROMPT = `You are a helpful AI assistant that creates engaging social media comments and responses. 
-Your responses should be:
-- Friendly and conversational
-- Relevant to the content shown
-- Concise (1-3 sentences usually)
-- Appropriate for the platform context
-Never use quotation marks around your response.`;
-
-    // Prepare OpenAI request
-    const messages = [
-      {
-        role: 'system',
-        content: sanitizedSystemPrompt || DEFAULT_SYSTEM_PROMPT
-      },
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'text',
-            text: sanitizedContext || 'Please analyze this image and provide an appropriate response.'
-          },
-          {
-            type: 'image_url',
-            image_url: {
-              url: imageDataUrl,
-              detail: 'low'  // Changed from 'high' to 'low' for faster processing
-            }
-          }
-        ]
+    const usageDetails = {
+      user,
+      isUsingOwnApiKey,
+      creditCost,
+      candidateCount,
+      sanitizedContext,
+      platform,
+      personaId: persona?.id || null,
+      inputMode,
+      imageMetadata: processedImage?.metadata || null,
+      cached: !!cachedEntry,
+      cacheKey,
+      creditHold,
+      modelEntry: modelRoute.primary,
+      fallbackUsed: false,
+      guardOptions,
+      guardWarnings: [],
+      regenerated: false,
+      replyLanguage,
+      textLanguage,
+      detectedLanguage: textLanguage,
+      outputLanguage: replyLanguage || textLanguage,
+      // Kept with the usage row so /api/refine can build on this generation
+      generationContext: {
+        context: sanitizedContext,
+        postText: joinPostText(
+          postInput && renderPostText(postInput),
+          threadInput && renderThreadText(threadInput)
+        ),
+        systemPrompt: sanitizedSystemPrompt,
+        platform,
+        personaId: persona?.id || null
       }
-    ];
+    };
 
-    // Use user's API key if provided, otherwise use system key
-    const openaiClient = isUsingOwnApiKey ? new OpenAI({ apiKey: userApiKey }) : openai;
-    
-    // Call OpenAI API with timeout
-    console.log('[Analyze] About to call OpenAI API...');
-    logSecurityEvent('OPENAI_REQUEST', { userId: user.id, usingOwnKey: isUsingOwnApiKey });
-    
-    // Create a timeout promise
-    const openaiTimeout = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('OpenAI API timeout')), 7000)
-    );
+    if (cachedEntry) {
+      console.log('[Analyze] Cache hit:', cacheKey.substring(0, 12));
+      clearTimeout(timeoutId);
+      return await serveCachedResponse(res, cachedEntry, usageDetails, providerName, isStreaming);
+    }
+
+    // Call the model with timeout
+    console.log('[Analyze] About to call LLM provider:', providerName);
+    logSecurityEvent('LLM_REQUEST', { 
+      userId: user.id, 
+      usingOwnKey: isUsingOwnApiKey,
+      provider: providerName,
+      quality: modelRoute.primary.quality,
+      inputMode,
+      candidates: candidateCount,
+      stream: isStreaming
+    });
+
+    if (isStreaming) {
+      // Headers are sent immediately, so the 504 guard no longer applies
+      clearTimeout(timeoutId);
+      return await streamAnalysis(res, llm, llmRequest, usageDetails, startTime);
+    }
     
-    // Race between OpenAI call and timeout
-    const completion = await Promise.race([
-      openaiClient.chat.completions.create({
-        model: 'gpt-4o-mini',  // Changed from gpt-4o to gpt-4o-mini for faster response
-        messages: messages,
-        max_tokens: 150,  // Reduced from 300 to 150 for faster generation
-        temperature: 0.7,
-        user: user.id // For OpenAI's abuse monitoring
-      }),
-      openaiTimeout
-    ]);
-
-    console.log('[Analyze] OpenAI API call completed');
-    const aiResponse = completion.choices[0].message.content;
-    const tokensUsed = completion.usage?.total_tokens || 0;
+    // Call the primary model (falling back once if it fails and time allows), then check the
+    // reply with the output guard, which may regenerate it once within the same time budget
+    const deadline = Date.now() + LLM_TIMEOUT_MS;
+    const guarded = await generateGuarded(async correction => {
+      const attempt = await completeWithFallback(
+        modelRoute,
+        modelEntry => applyGuardCorrection(buildLlmRequest(modelEntry), correction),
+        { userApiKey, timeoutMs: deadline - Date.now(), logPrefix: '[Analyze]' }
+      );
+      const tagged = extractLanguageTag(attempt.completion.text, { json: jsonOutput });
+      const polished = draftInput ? parsePolishResult(tagged.text, draftInput) : null;
+      const limited = enforceLengthLimit(polished ? polished.text : tagged.text, platform);
+      return {
+        ...attempt,
+        postLanguage: tagged.language,
+        text: limited.text,
+        truncated: limited.truncated,
+        invalidOutput: !!draftInput && !polished,
+        changes: polished && polished.changes,
+        candidates: candidateCount > 1
+          ? parseCandidates(tagged.text, candidateCount).map(candidate => ({
+            ...candidate,
+            response: enforceLengthLimit(candidate.response, platform).text
+          }))
+          : null
+      };
+    }, guardOptions, { deadline, logPrefix: '[Analyze]' });
+    const { entry: usedModel, fellBack, candidates: rankedCandidates } = guarded.output;
+
+    // Every attempt's tokens are charged; the fallback's usage is priced on its own model
+    // (still capped at the primary's quote)
+    const completion = {
+      ...guarded.output.completion,
+      usage: sumUsage(guarded.attempts.map(attempt => attempt.completion))
+    };
+    usageDetails.modelEntry = usedModel;
+    usageDetails.fallbackUsed = fellBack;
+    usageDetails.guardWarnings = guarded.warnings;
+    usageDetails.regenerated = guarded.regenerated;
+    usageDetails.detectedLanguage = guarded.output.postLanguage || textLanguage;
+    usageDetails.outputLanguage = replyLanguage || usageDetails.detectedLanguage;
+
+    console.log('[Analyze] LLM call completed');
+    const aiResponse = rankedCandidates ? rankedCandidates[0].response : guarded.output.text;
+    const tokensUsed = completion.usage.totalTokens;
     console.log('[Analyze] Response length:', aiResponse.length, 'Tokens used:', tokensUsed);
 
-    // Use credits (with transaction safety)
-    let purchaseId = null;
-    let subscriptionId = null;
-    
-    if (!isUsingOwnApiKey) {
-      // First check if user has credits - query directly like credits.js does
-      const now = new Date().toISOString();
-      const { data: activePurchases, error: checkError } = await supabaseAdmin
-        .from('credit_purchases')
-        .select('remaining_credits, expires_at')
-        .eq('user_id', user.id)
-        .gt('remaining_credits', 0)
-        .or(`expires_at.is.null,expires_at.gt.${now}`);
-      
-      console.log('[Analyze] Credit check:', {
-        userId: user.id,
-        purchases: activePurchases,
-        error: checkError
-      });
-      
-      const availableCredits = activePurchases?.reduce((sum, p) => sum + p.remaining_credits, 0) || 0;
-      
-      if (checkError || availableCredits < 1) {
-        console.error('Insufficient credits:', {
-          checkError,
-          availableCredits,
-          activePurchases,
-          userId: user.id
-        });
-        return res.status(402).json({ 
-          error: 'Insufficient credits. Please add more credits to continue.',
-          available_credits: availableCredits,
-          debug: { purchaseCount: activePurchases?.length || 0 }
-        });
+    // The 504 guard may already have answered; never charge for a timed-out request
+    if (res.headersSent) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'timeout', '[Analyze]');
       }
-      
-      // Simple approach: Find and update in separate queries but with retry logic
-      let retries = 3;
-      let purchaseId = null;
-      let subscriptionId = null;
-      let creditDeducted = false;
-      
-      while (retries > 0 && !creditDeducted) {
-        // Find the oldest credit purchase with remaining credits
-        const { data: creditPurchase, error: findError } = await supabaseAdmin
-          .from('credit_purchases')
-          .select('id, remaining_credits, subscription_id')
-          .eq('user_id', user.id)
-          .gt('remaining_credits', 0)
-          .or(`expires_at.is.null,expires_at.gt.${now}`)
-          .order('created_at', { ascending: true })
-          .limit(1)
-          .single();
-        
-        if (findError || !creditPurchase) {
-          console.error('No valid credit purchase found:', findError);
-          return res.status(402).json({ 
-            error: 'No valid credits found',
-            details: findError?.message
-          });
-        }
-        
-        // Attempt to deduct 1 credit with optimistic locking
-        const { data: creditResult, error: creditError } = await supabaseAdmin
-          .from('credit_purchases')
-          .update({ 
-            remaining_credits: creditPurchase.remaining_credits - 1,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', creditPurchase.id)
-          .eq('remaining_credits', creditPurchase.remaining_credits)  // Optimistic lock
-          .select()
-          .single();
-        
-        if (creditResult) {
-          creditDeducted = true;
-          purchaseId = creditPurchase.id;
-          subscriptionId = creditPurchase.subscription_id;
-          console.log('[Analyze] Credit deducted successfully, remaining:', creditResult.remaining_credits);
-        } else if (retries > 1) {
-          // Retry if failed (likely due to concurrent update)
-          console.log('[Analyze] Credit deduction failed, retrying...', retries - 1, 'attempts left');
-          retries--;
-          await new Promise(resolve => setTimeout(resolve, 100)); // Small delay before retry
-        } else {
-          console.error('Failed to deduct credit after retries:', creditError);
-          return res.status(500).json({ 
-            error: 'Failed to deduct credit - please try again',
-            details: 'Concurrent request conflict'
-          });
-        }
+      return;
+    }
+
+    // A polish reply without valid JSON is not charged; the failure is logged
+    if (guarded.output.invalidOutput) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'error', '[Analyze]');
       }
+      creditHold = null;
+      await logFailedUsage(usageDetails, completion);
+
+      clearTimeout(timeoutId);
+      return res.status(502).json({
+        error: 'Could not polish this draft',
+        error_code: 'invalid_output',
+        attempts: guarded.attempts.length
+      });
+    }
+
+    // Charge the credit hold and log usage
+    const settlement = await settleUsage(usageDetails, aiResponse, completion, rankedCandidates);
+    creditHold = null;
+    if (!settlement.success) {
+      clearTimeout(timeoutId);
+      return res.status(settlement.status).json({ 
+        error: settlement.error,
+        details: settlement.details
+      });
     }
 
-    // Log usage (without storing sensitive data)
-    const { error: logError } = await supabaseAdmin
-      .from('api_usage')
-      .insert([{
-        user_id: user.id,
-        purchase_id: purchaseId,
-        subscription_id: subscriptionId,
-        context: sanitizedContext ? sanitizedContext.substring(0, 100) : null, // Store only first 100 chars
-        ai_response: aiResponse.substring(0, 200), // Store only first 200 chars
-        credits_used: 1,
-        api_key_used: isUsingOwnApiKey
-      }]);
-
-    if (logError) {
-      console.error('Usage log error:', logError);
-    }
-
-    // Get updated credits from credit_purchases table only
-    const now = new Date().toISOString();
-    const { data: updatedPurchases } = await supabaseAdmin
-      .from('credit_purchases')
-      .select('remaining_credits')
-      .eq('user_id', user.id)
-      .gt('expires_at', now)
-      .gt('remaining_credits', 0);
-
-    const updatedCredits = updatedPurchases 
-      ? updatedPurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-      : 0;
+    const result = {
+      response: aiResponse,
+      ...(rankedCandidates && { candidates: rankedCandidates }),
+      platform: platform || null,
+      persona_id: persona?.id || null,
+      input_mode: inputMode,
+      image_metadata: processedImage?.metadata || null,
+      truncated: !rankedCandidates && guarded.output.truncated,
+      detected_language: usageDetails.detectedLanguage,
+      reply_language: usageDetails.outputLanguage,
+      // The model's list of changes and a word-level diff from the draft to the polished text
+      ...(draftInput && {
+        draft: draftInput.text,
+        changes: guarded.output.changes,
+        diff: diffWords(draftInput.text, aiResponse)
+      })
+    };
+
+    // Only replies that passed the guard are reused
+    if (cacheKey && guarded.warnings.length === 0) {
+      await storeCachedResponse(user.id, cacheKey, result);
+    }
 
     // Success response
     clearTimeout(timeoutId);
@@ -331,13 +594,30 @@ Never use quotation marks around your response.`;
     
     return res.status(200).json({
       success: true,
-      response: aiResponse,
-      remaining_credits: updatedCredits || 0,
+      ...result,
+      cached: false,
+      quality: usedModel.quality,
+      fallback_used: fellBack,
+      warnings: guarded.warnings,
+      regenerated: guarded.regenerated,
+      credits_charged: settlement.creditsCharged,
+      generation_id: settlement.generationId,
+      remaining_credits: settlement.remainingCredits,
       tokens_used: tokensUsed
     });
 
   } catch (error) {
     clearTimeout(timeoutId);
+
+    // Failed generations never cost credits
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, 'error', '[Analyze]');
+    }
+
+    if (res.headersSent) {
+      return;
+    }
+
     const elapsed = Date.now() - startTime;
     console.error(`[Analyze] Error after ${elapsed}ms:`, error.message);
     logSecurityEvent('API_ERROR', { 
@@ -349,13 +629,17 @@ Never use quotation marks around your response.`;
     // Handle specific errors
     if (error.status === 429) {
       return res.status(429).json({ 
-        error: 'OpenAI rate limit exceeded. Please try again later.' 
+        error: 'AI provider rate limit exceeded. Please try again later.' 
       });
     }
+
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return res.status(504).json({ error: 'Request timeout - please try again with a smaller image' });
+    }
     
     if (error.status === 401) {
       // This should never happen if API key is correct
-      console.error('[CRITICAL] OpenAI API authentication failed');
+      console.error('[CRITICAL] LLM provider authentication failed');
       return res.status(500).json({ 
         error: 'Service temporarily unavailable' 
       });
@@ -366,4 +650,293 @@ Never use quotation marks around your response.`;
       error: sanitizeError(error) 
     });
   }
-};
\ No newline at end of file
+};
+
+// Price the generation, charge the credit hold (if any), log usage and return the updated balance
+async function settleUsage(usageDetails, aiResponse, completion, candidates = null) {
+  const { 
+    user, 
+    isUsingOwnApiKey, 
+    creditCost, 
+    candidateCount, 
+    sanitizedContext, 
+    platform, 
+    personaId,
+    inputMode,
+    cached,
+    creditHold,
+    modelEntry,
+    fallbackUsed,
+    guardWarnings,
+    regenerated,
+    detectedLanguage,
+    outputLanguage,
+    generationContext
+  } = usageDetails;
+
+  // Actual token usage, never above the reserved quote; cache hits keep their flat price
+  const pricing = priceUsage({
+    entry: modelEntry,
+    usage: completion.usage,
+    features: { candidates: candidateCount },
+    maxCredits: creditCost,
+    flatCredits: cached ? creditCost : null
+  });
+
+  // Charge the hold and log usage in one transaction (without storing sensitive data)
+  const consumption = await consumeCredits({
+    userId: user.id,
+    holdId: creditHold?.holdId || null,
+    usageRows: [{
+      context: sanitizedContext ? sanitizedContext.substring(0, 100) : null, // Store only first 100 chars
+      ai_response: aiResponse.substring(0, 200), // Store only first 200 chars
+      credits_used: isUsingOwnApiKey ? 0 : pricing.credits,
+      candidate_count: candidateCount,
+      platform: platform || null,
+      persona_id: personaId,
+      input_mode: inputMode,
+      cached: !!cached,
+      quality: modelEntry.quality,
+      fallback_used: fallbackUsed,
+      cost_usd: pricing.costUsd,
+      pricing: pricing.breakdown,
+      guard_warnings: [...new Set(guardWarnings.map(warning => warning.code))],
+      regenerated,
+      detected_language: detectedLanguage,
+      reply_language: outputLanguage,
+      provider: completion.provider,
+      model: completion.model,
+      input_tokens: completion.usage.inputTokens,
+      output_tokens: completion.usage.outputTokens,
+      api_key_used: isUsingOwnApiKey
+    }]
+  }, '[Analyze]');
+
+  if (!consumption.success) {
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, 'charge_failed', '[Analyze]');
+    }
+    return consumption;
+  }
+
+  const generationId = consumption.usageIds[0];
+  await storeGenerationContext(user.id, generationId, {
+    ...generationContext,
+    response: aiResponse,
+    candidates
+  });
+
+  return { ...consumption, generationId };
+}
+
+// Log a generation whose output could not be used (e.g. polish JSON that does not parse); nothing is charged
+async function logFailedUsage(usageDetails, completion) {
+  const {
+    user,
+    isUsingOwnApiKey,
+    candidateCount,
+    sanitizedContext,
+    platform,
+    personaId,
+    inputMode,
+    modelEntry,
+    fallbackUsed,
+    regenerated
+  } = usageDetails;
+
+  await consumeCredits({
+    userId: user.id,
+    holdId: null,
+    usageRows: [{
+      context: sanitizedContext ? sanitizedContext.substring(0, 100) : null,
+      ai_response: null,
+      credits_used: 0,
+      candidate_count: candidateCount,
+      platform: platform || null,
+      persona_id: personaId,
+      input_mode: inputMode,
+      cached: false,
+      quality: modelEntry.quality,
+      fallback_used: fallbackUsed,
+      regenerated,
+      provider: completion.provider,
+      model: completion.model,
+      input_tokens: completion.usage.inputTokens,
+      output_tokens: completion.usage.outputTokens,
+      api_key_used: isUsingOwnApiKey,
+      status: 'failed',
+      error_code: 'invalid_output'
+    }]
+  }, '[Analyze]');
+}
+
+// Forward model token deltas over SSE; credits are only settled once the stream completes
+async function streamAnalysis(res, llm, llmRequest, usageDetails, startTime) {
+  const { 
+    user, 
+    platform, 
+    personaId, 
+    inputMode, 
+    imageMetadata, 
+    cacheKey,
+    creditHold,
+    modelEntry,
+    guardOptions,
+    replyLanguage,
+    textLanguage
+  } = usageDetails;
+  const controller = new AbortController();
+  const streamTimeoutId = setTimeout(() => controller.abort(), STREAM_TIMEOUT_MS);
+
+  startEventStream(res);
+
+  try {
+    let streamedText = '';
+    let usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    // The language tag line is held back and never forwarded
+    const languageTag = createLanguageTagStripper();
+    const forward = text => {
+      if (!text) return;
+      streamedText += text;
+      sendEvent(res, 'delta', { content: text });
+    };
+
+    for await (const event of llm.stream({ ...llmRequest, signal: controller.signal })) {
+      if (event.type === 'delta') {
+        forward(languageTag.push(event.text));
+      } else if (event.type === 'usage') {
+        usage = event.usage;
+      }
+    }
+    forward(languageTag.flush());
+    usageDetails.detectedLanguage = languageTag.language || textLanguage;
+    usageDetails.outputLanguage = replyLanguage || usageDetails.detectedLanguage;
+
+    clearTimeout(streamTimeoutId);
+
+    if (!streamedText) {
+      throw new Error('Empty response from model');
+    }
+
+    // Deltas are forwarded as-is; the final response respects the platform limit
+    const limited = enforceLengthLimit(streamedText, platform);
+    const aiResponse = limited.text;
+
+    // Deltas are already delivered, so a flagged stream cannot be regenerated; it is returned with warnings
+    const warnings = GUARD_CONFIG.ENABLED ? checkOutput(aiResponse, guardOptions) : [];
+    usageDetails.guardWarnings = warnings;
+
+    const settlement = await settleUsage(usageDetails, aiResponse, {
+      provider: llm.name,
+      model: llmRequest.model,
+      usage
+    });
+    if (!settlement.success) {
+      sendEvent(res, 'error', { error: settlement.error, status: settlement.status });
+      return res.end();
+    }
+
+    const result = {
+      response: aiResponse,
+      platform: platform || null,
+      persona_id: personaId,
+      input_mode: inputMode,
+      image_metadata: imageMetadata,
+      truncated: limited.truncated,
+      detected_language: usageDetails.detectedLanguage,
+      reply_language: usageDetails.outputLanguage
+    };
+
+    if (cacheKey && warnings.length === 0) {
+      await storeCachedResponse(user.id, cacheKey, result);
+    }
+
+    const elapsed = Date.now() - startTime;
+    console.log(`[Analyze] Stream success - completed in ${elapsed}ms`);
+
+    sendEvent(res, 'done', {
+      success: true,
+      ...result,
+      cached: false,
+      quality: modelEntry.quality,
+      warnings,
+      regenerated: false,
+      credits_charged: settlement.creditsCharged,
+      generation_id: settlement.generationId,
+      remaining_credits: settlement.remainingCredits,
+      tokens_used: usage.totalTokens
+    });
+    return res.end();
+
+  } catch (error) {
+    clearTimeout(streamTimeoutId);
+    const timedOut = controller.signal.aborted;
+
+    // Nothing is charged for a failed or timed-out stream
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, timedOut ? 'timeout' : 'error', '[Analyze]');
+    }
+    console.error('[Analyze] Stream error:', error.message);
+    logSecurityEvent('API_ERROR', { 
+      userId: user.id,
+      error: timedOut ? 'Stream timeout' : error.message,
+      stream: true
+    });
+
+    sendEvent(res, 'error', {
+      error: timedOut
+        ? 'Request timeout - please try again with a smaller image'
+        : error.status === 429
+          ? 'AI provider rate limit exceeded. Please try again later.'
+          : sanitizeError(error),
+      status: timedOut ? 504 : (error.status === 429 ? 429 : 500)
+    });
+    return res.end();
+  }
+}
+
+// Return a cached result (charged at CACHE_HIT_CREDITS) as JSON or as a one-shot event stream
+async function serveCachedResponse(res, cachedEntry, usageDetails, providerName, isStreaming) {
+  const { user, creditCost, modelEntry } = usageDetails;
+  const { cached_at: cachedAt, ...result } = cachedEntry;
+  usageDetails.detectedLanguage = result.detected_language || null;
+  usageDetails.outputLanguage = result.reply_language || null;
+
+  logSecurityEvent('CACHE_HIT', { userId: user.id, creditsCharged: creditCost });
+
+  const settlement = await settleUsage(usageDetails, result.response, {
+    provider: providerName,
+    model: null,
+    usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+  }, result.candidates || null);
+
+  if (!settlement.success) {
+    return res.status(settlement.status).json({ 
+      error: settlement.error,
+      details: settlement.details
+    });
+  }
+
+  const payload = {
+    success: true,
+    ...result,
+    cached: true,
+    cached_at: cachedAt,
+    quality: modelEntry.quality,
+    warnings: [],
+    regenerated: false,
+    credits_charged: settlement.creditsCharged,
+    generation_id: settlement.generationId,
+    remaining_credits: settlement.remainingCredits,
+    tokens_used: 0
+  };
+
+  if (isStreaming) {
+    startEventStream(res);
+    sendEvent(res, 'delta', { content: result.response });
+    sendEvent(res, 'done', payload);
+    return res.end();
+  }
+
+  return res.status(200).json(payload);
+}
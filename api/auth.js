@@ -1,4 +1,5 @@
 const { supabaseClient } = require('../lib/supabase');
+const { getCreditBalance } = require('../lib/credits');
 
 module.exports = async (req, res) => {
   // Check if Supabase is configured
@@ -205,19 +206,8 @@ async function handleGetUser(req, res) {
     return res.status(401).json({ error: error.message });
   }
 
-  // Get user's available credits from credit_purchases only
-  const now = new Date().toISOString();
-  const { data: activePurchases } = await supabaseClient
-    .from('credit_purchases')
-    .select('expires_at, remaining_credits')
-    .eq('user_id', user.id)
-    .gt('expires_at', now)
-    .gt('remaining_credits', 0)
-    .order('expires_at', { ascending: true });
-
-  const credits = activePurchases 
-    ? activePurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-    : 0;
+  // Get user's available credits from the credit ledger
+  const { availableCredits, daysUntilExpiry } = await getCreditBalance(user.id);
 
   // Get user profile with type
   const { data: profile } = await supabaseClient
@@ -226,20 +216,12 @@ async function handleGetUser(req, res) {
     .eq('id', user.id)
     .single();
 
-  let daysUntilExpiry = null;
-  if (activePurchases && activePurchases.length > 0) {
-    const expiryDate = new Date(activePurchases[0].expires_at);
-    const today = new Date();
-    const diffTime = expiryDate - today;
-    daysUntilExpiry = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  }
-
   return res.status(200).json({ 
     user: {
       ...user,
       user_type: profile?.user_type || 'free'
     },
-    available_credits: credits || 0,
+    available_credits: availableCredits,
     days_until_expiry: daysUntilExpiry
   });
 }
\ No newline at end of file
@@ -1,4 +1,9 @@
 const { supabaseAdmin } = require('../lib/supabase');
+const {
+  getCreditBalance,
+  getActivePurchases,
+  getCreditTransactions
+} = require('../lib/credits');
 
 module.exports = async (req, res) => {
   // Enable CORS
@@ -30,6 +35,9 @@ module.exports = async (req, res) => {
 
     switch (req.method) {
       case 'GET':
+        if (req.query.action === 'transactions') {
+          return await handleGetTransactions(user.id, req.query, res);
+        }
         return await handleGetCredits(user.id, res);
       case 'POST':
         return await handleAddCredits(user.id, req.body, res);
@@ -54,22 +62,11 @@ async function handleGetCredits(userId, res) {
   try {
     console.log('[Credits] Getting credits for user:', userId);
     
-    // Get active purchases (not expired, with remaining credits)
-    const now = new Date().toISOString();
-    const { data: activePurchases, error: activeError } = await supabaseAdmin
-      .from('credit_purchases')
-      .select('*')
-      .eq('user_id', userId)
-      .gt('expires_at', now)
-      .gt('remaining_credits', 0)
-      .order('expires_at', { ascending: true });
-
-    if (activeError) {
-      console.error('[Credits] Error fetching active purchases:', activeError);
-      throw activeError;
-    }
+    // Balance from the credit ledger, plus the purchases it is currently spent from
+    const balance = await getCreditBalance(userId);
+    const activePurchases = await getActivePurchases(userId);
     
-    console.log('[Credits] Found active purchases:', activePurchases?.length || 0);
+    console.log('[Credits] Found active purchases:', activePurchases.length);
 
     // Get all purchases for history
     const { data: allPurchases, error: purchaseError } = await supabaseAdmin
@@ -89,34 +86,18 @@ async function handleGetCredits(userId, res) {
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId);
 
-    // Calculate total available credits from active purchases ONLY
-    // (credit_purchases already includes subscription credits)
-    let availableCredits = 0;
-    if (activePurchases && activePurchases.length > 0) {
-      availableCredits = activePurchases.reduce((sum, purchase) => sum + purchase.remaining_credits, 0);
-    }
-    
-    console.log('[Credits] Total available credits:', availableCredits);
-
-    // Calculate days until expiry for the earliest expiring pack
-    let daysUntilExpiry = null;
-    let nextExpiryDate = null;
-    
-    if (activePurchases && activePurchases.length > 0) {
-      const earliestExpiry = new Date(activePurchases[0].expires_at);
-      nextExpiryDate = earliestExpiry.toISOString();
-      const now = new Date();
-      const diffTime = earliestExpiry - now;
-      daysUntilExpiry = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    }
+    console.log('[Credits] Total available credits:', balance.availableCredits);
 
     return res.status(200).json({
-      available_credits: availableCredits,
-      active_purchases: activePurchases || [],
+      available_credits: balance.availableCredits,
+      held_credits: balance.heldCredits,
+      active_purchases: activePurchases,
       all_purchases: allPurchases || [],
       total_usage: totalUsage || 0,
-      days_until_expiry: daysUntilExpiry,
-      next_expiry_date: nextExpiryDate
+      days_until_expiry: balance.daysUntilExpiry,
+      next_expiry_date: balance.nextExpiryDate
+        ? new Date(balance.nextExpiryDate).toISOString()
+        : null
     });
   } catch (error) {
     console.error('[Get credits error]:', {
@@ -169,17 +150,8 @@ async function handleAddCredits(userId, body, res) {
       throw purchaseError;
     }
 
-    // Get updated available credits
-    const { data: updatedPurchases } = await supabaseAdmin
-      .from('credit_purchases')
-      .select('remaining_credits')
-      .eq('user_id', userId)
-      .gt('expires_at', new Date().toISOString())
-      .gt('remaining_credits', 0);
-
-    const availableCredits = updatedPurchases 
-      ? updatedPurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-      : 0;
+    // Get updated available credits (completed purchases are granted in the ledger on insert)
+    const { availableCredits } = await getCreditBalance(userId);
 
     return res.status(200).json({
       success: true,
@@ -190,4 +162,19 @@ async function handleAddCredits(userId, body, res) {
     console.error('Add credits error:', error);
     return res.status(500).json({ error: 'Failed to add credits' });
   }
-}
\ No newline at end of file
+}
+
+// Ledger entries explaining every balance change, newest first
+async function handleGetTransactions(userId, query, res) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 100);
+  const before = query.before && !isNaN(Date.parse(query.before)) ? query.before : undefined;
+
+  const transactions = await getCreditTransactions(userId, { limit, before });
+
+  return res.status(200).json({
+    transactions,
+    next_before: transactions.length === limit
+      ? transactions[transactions.length - 1].created_at
+      : null
+  });
+}
@@ -0,0 +1,82 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  configureCORS,
+  logSecurityEvent
+} = require('../lib/security');
+const { validateExportQuery, streamExport } = require('../lib/export');
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res, 'GET,OPTIONS')) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'export');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    const validation = validateExportQuery(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { params } = validation;
+
+    console.log('[Export] Exporting', params.dataset, 'as', params.format, 'for user:', user.id);
+
+    return await streamExport(res, user.id, params);
+  } catch (error) {
+    console.error('[Export API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+
+    if (res.headersSent) {
+      return;
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,378 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  validateImageData,
+  sanitizeInput,
+  configureCORS,
+  logSecurityEvent,
+  checkPromptInjection,
+  sanitizeError
+} = require('../lib/security');
+const {
+  reserveCredits,
+  consumeCredits,
+  releaseCredits
+} = require('../lib/credits');
+const {
+  LLM_CONFIG,
+  OWN_KEY_PROVIDERS,
+  isSupportedProvider,
+  isOwnKeyProvider,
+  isProviderConfigured,
+  resolveProviderName
+} = require('../lib/llm');
+const {
+  QUALITY_LEVELS,
+  isValidQuality,
+  resolveModelRoute,
+  completeWithFallback
+} = require('../lib/models');
+const { IMAGE_NOTICE, frameUntrusted } = require('../lib/prompts');
+const { normalizeImage } = require('../lib/images');
+const { priceUsage } = require('../lib/pricing');
+const { applyGuardCorrection, sumUsage } = require('../lib/guard');
+const {
+  EXTRACT_CONFIG,
+  EXTRACT_SYSTEM_PROMPT,
+  generateExtraction
+} = require('../lib/extract');
+
+// Time for the model call(s), including schema retries, before the 504 guard answers
+const LLM_TIMEOUT_MS = 7000;
+
+// Verify the default LLM provider is configured
+if (!isProviderConfigured(LLM_CONFIG.DEFAULT_PROVIDER)) {
+  console.error('[CRITICAL] LLM provider not configured:', LLM_CONFIG.DEFAULT_PROVIDER);
+  process.exit(1);
+}
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+
+  // Set a 8.5-second timeout for Vercel Hobby plan (10s limit minus buffer)
+  const timeoutId = setTimeout(() => {
+    console.error('[Extract] Function timeout approaching - returning error');
+    if (!res.headersSent) {
+      res.status(504).json({ error: 'Request timeout - please try again with a smaller image' });
+    }
+  }, 8500);
+
+  // Configure CORS
+  if (!configureCORS(req, res)) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  let user;
+  let creditHold = null;
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    user = userData.user;
+
+    // Rate limiting
+    const rateLimitResult = await rateLimit(user.id, 'extract');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    const { imageDataUrl, context, userApiKey, provider, quality } = req.body || {};
+
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported provider' });
+    }
+
+    if (userApiKey && provider !== undefined && !isOwnKeyProvider(provider)) {
+      return res.status(400).json({ error: `userApiKey only works with these providers: ${OWN_KEY_PROVIDERS.join(', ')}` });
+    }
+
+    if (quality !== undefined && !isValidQuality(quality)) {
+      return res.status(400).json({ error: `quality must be one of: ${QUALITY_LEVELS.join(', ')}` });
+    }
+
+    if (!imageDataUrl) {
+      return res.status(400).json({ error: 'imageDataUrl is required' });
+    }
+
+    // Validate and normalize image data (same pipeline as /api/analyze)
+    const imageValidation = validateImageData(imageDataUrl);
+    if (!imageValidation.valid) {
+      logSecurityEvent('INVALID_IMAGE_DATA', {
+        userId: user.id,
+        error: imageValidation.error
+      });
+      return res.status(400).json({ error: imageValidation.error });
+    }
+
+    let processedImage;
+    try {
+      processedImage = await normalizeImage(imageDataUrl);
+      console.log('[Extract] Image normalized:', processedImage.metadata);
+    } catch (error) {
+      logSecurityEvent('INVALID_IMAGE_DATA', {
+        userId: user.id,
+        error: error.message
+      });
+      return res.status(400).json({ error: 'Invalid image data' });
+    }
+
+    const sanitizedContext = sanitizeInput(context);
+    checkPromptInjection(user.id, { context: sanitizedContext }, 'extract');
+
+    // Check if user is using their own API key or credits
+    const isUsingOwnApiKey = !!userApiKey;
+
+    // Pick the LLM provider (user's own key, per-user assignment or configured default)
+    let userProvider = null;
+    let userTier = null;
+    if (!isUsingOwnApiKey) {
+      const { data: profile } = await supabaseAdmin
+        .from('users')
+        .select('llm_provider, tier')
+        .eq('id', user.id)
+        .single();
+      userProvider = profile?.llm_provider;
+      userTier = profile?.tier;
+    }
+
+    const providerName = resolveProviderName({
+      userApiKey,
+      requestedProvider: provider,
+      userProvider
+    });
+
+    const modelRoute = resolveModelRoute({
+      providerName,
+      quality: quality || 'fast',
+      tier: userTier,
+      ownKey: isUsingOwnApiKey
+    });
+
+    // Extractions have their own flat price, at least the credits of the quality level used
+    const creditCost = isUsingOwnApiKey
+      ? 0
+      : Math.max(EXTRACT_CONFIG.CREDITS, modelRoute.primary.credits);
+
+    // Reserve credits before calling the model; the hold is released if anything fails
+    if (creditCost > 0) {
+      const reservation = await reserveCredits(user.id, creditCost, '[Extract]');
+
+      if (!reservation.success) {
+        return res.status(reservation.status).json({
+          error: reservation.error,
+          available_credits: reservation.availableCredits || 0,
+          required_credits: creditCost
+        });
+      }
+      creditHold = reservation;
+    }
+
+    logSecurityEvent('LLM_REQUEST', {
+      userId: user.id,
+      usingOwnKey: isUsingOwnApiKey,
+      provider: providerName,
+      quality: modelRoute.primary.quality,
+      inputMode: 'extract'
+    });
+
+    const buildLlmRequest = modelEntry => ({
+      system: EXTRACT_SYSTEM_PROMPT,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Extract the post shown in this screenshot.' },
+            ...(sanitizedContext
+              ? [{ type: 'text', text: frameUntrusted('Context note from the user', sanitizedContext, { guidance: true }) }]
+              : []),
+            { type: 'text', text: IMAGE_NOTICE },
+            { type: 'image', dataUrl: processedImage.dataUrl, detail: modelEntry.imageDetail }
+          ]
+        }
+      ],
+      maxTokens: EXTRACT_CONFIG.MAX_TOKENS,
+      temperature: 0,
+      json: true,
+      userId: user.id // For provider abuse monitoring
+    });
+
+    // Output that fails the schema is retried with the problems listed, within one time budget
+    const deadline = Date.now() + LLM_TIMEOUT_MS;
+    const extracted = await generateExtraction(correction => completeWithFallback(
+      modelRoute,
+      modelEntry => applyGuardCorrection(buildLlmRequest(modelEntry), correction),
+      { userApiKey, timeoutMs: deadline - Date.now(), logPrefix: '[Extract]' }
+    ), { deadline, logPrefix: '[Extract]' });
+
+    const { entry: usedModel, fellBack } = extracted.output;
+    const completion = {
+      ...extracted.output.completion,
+      usage: sumUsage(extracted.attempts.map(attempt => attempt.completion))
+    };
+
+    // The 504 guard may already have answered; never charge for a timed-out request
+    if (res.headersSent) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'timeout', '[Extract]');
+      }
+      return;
+    }
+
+    const usageRow = {
+      context: sanitizedContext ? sanitizedContext.substring(0, 100) : null,
+      platform: null,
+      persona_id: null,
+      input_mode: 'extract',
+      quality: usedModel.quality,
+      fallback_used: fellBack,
+      provider: completion.provider,
+      model: completion.model,
+      input_tokens: completion.usage.inputTokens,
+      output_tokens: completion.usage.outputTokens,
+      api_key_used: isUsingOwnApiKey
+    };
+
+    // Output that never matched the schema is not charged; the failure is logged
+    if (!extracted.extraction) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'error', '[Extract]');
+      }
+      creditHold = null;
+      await consumeCredits({
+        userId: user.id,
+        holdId: null,
+        usageRows: [{
+          ...usageRow,
+          ai_response: null,
+          credits_used: 0,
+          status: 'failed',
+          error_code: 'invalid_output'
+        }]
+      }, '[Extract]');
+
+      clearTimeout(timeoutId);
+      return res.status(502).json({
+        error: 'Could not extract the post from this screenshot',
+        error_code: 'invalid_output',
+        attempts: extracted.attempts.length
+      });
+    }
+
+    const pricing = priceUsage({ entry: usedModel, usage: completion.usage, flatCredits: creditCost });
+
+    // Charge the hold and log the extraction
+    const consumption = await consumeCredits({
+      userId: user.id,
+      holdId: creditHold?.holdId || null,
+      usageRows: [{
+        ...usageRow,
+        ai_response: JSON.stringify(extracted.extraction).substring(0, 200),
+        credits_used: creditCost,
+        detected_language: extracted.extraction.language,
+        cost_usd: pricing.costUsd,
+        pricing: pricing.breakdown
+      }]
+    }, '[Extract]');
+
+    if (!consumption.success) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'charge_failed', '[Extract]');
+      }
+      creditHold = null;
+      clearTimeout(timeoutId);
+      return res.status(consumption.status).json({
+        error: consumption.error,
+        details: consumption.details
+      });
+    }
+    creditHold = null;
+
+    clearTimeout(timeoutId);
+    console.log(`[Extract] Success - completed in ${Date.now() - startTime}ms`);
+
+    return res.status(200).json({
+      success: true,
+      extraction: extracted.extraction,
+      attempts: extracted.attempts.length,
+      image_metadata: processedImage.metadata,
+      quality: usedModel.quality,
+      fallback_used: fellBack,
+      generation_id: consumption.usageIds[0] || null,
+      credits_charged: creditCost,
+      remaining_credits: isUsingOwnApiKey ? null : consumption.remainingCredits,
+      tokens_used: completion.usage.totalTokens
+    });
+
+  } catch (error) {
+    clearTimeout(timeoutId);
+
+    // Failed extractions never cost credits
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, 'error', '[Extract]');
+    }
+
+    if (res.headersSent) {
+      return;
+    }
+
+    console.error('[Extract] Error:', error.message);
+    logSecurityEvent('API_ERROR', {
+      userId: user?.id,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+
+    // Handle specific errors
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'AI provider rate limit exceeded. Please try again later.'
+      });
+    }
+
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return res.status(504).json({ error: 'Request timeout - please try again with a smaller image' });
+    }
+
+    if (error.status === 401) {
+      console.error('[CRITICAL] LLM provider authentication failed');
+      return res.status(500).json({
+        error: 'Service temporarily unavailable'
+      });
+    }
+
+    // Generic error response
+    return res.status(500).json({
+      error: sanitizeError(error)
+    });
+  }
+};
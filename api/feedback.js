@@ -0,0 +1,210 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  isValidUUID,
+  configureCORS,
+  logSecurityEvent
+} = require('../lib/security');
+const { getGenerationContext } = require('../lib/generations');
+const {
+  FEEDBACK_CONFIG,
+  FEEDBACK_COLUMNS,
+  validateFeedbackInput,
+  isEditedText,
+  getFeedbackReport
+} = require('../lib/feedback');
+
+// api_usage keeps this many characters of each response
+const USAGE_RESPONSE_PREVIEW_LENGTH = 200;
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res)) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'feedback');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        if (req.query.action === 'report') {
+          return await handleGetReport(user.id, req.query, res);
+        }
+        return await handleGetFeedback(user.id, req.query.generation_id, res);
+      case 'POST':
+        return await handleSubmitFeedback(user.id, req.body || {}, res);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[Feedback API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+async function getExistingFeedback(userId, usageId) {
+  const { data: feedback, error } = await supabaseAdmin
+    .from('generation_feedback')
+    .select(FEEDBACK_COLUMNS)
+    .eq('usage_id', usageId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return feedback;
+}
+
+// Texts the final text is compared with: the full response and candidates while the generation
+// context is kept, otherwise the usage row's preview when it holds the whole response
+async function getGeneratedTexts(userId, usage) {
+  const generation = await getGenerationContext(userId, usage.id);
+  if (generation) {
+    return [generation.response, ...(generation.candidates || []).map(candidate => candidate.response)];
+  }
+
+  const preview = usage.ai_response || '';
+  return preview.length < USAGE_RESPONSE_PREVIEW_LENGTH ? [preview] : [];
+}
+
+async function handleSubmitFeedback(userId, body, res) {
+  const { generation_id } = body;
+
+  if (!isValidUUID(generation_id)) {
+    return res.status(400).json({ error: 'A valid generation_id is required' });
+  }
+
+  const validation = validateFeedbackInput(body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const { feedback } = validation;
+
+  // Feedback can only be left on the user's own successful generations
+  const { data: usage, error: usageError } = await supabaseAdmin
+    .from('api_usage')
+    .select('id, ai_response, status')
+    .eq('id', generation_id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (usageError) {
+    throw usageError;
+  }
+
+  if (!usage || usage.status === 'failed') {
+    return res.status(404).json({ error: 'Generation not found' });
+  }
+
+  const existing = await getExistingFeedback(userId, usage.id);
+
+  if (feedback.final_text !== undefined) {
+    feedback.edited = isEditedText(feedback.final_text, await getGeneratedTexts(userId, usage));
+  }
+
+  if (feedback.posted !== undefined) {
+    feedback.posted_at = feedback.posted
+      ? existing?.posted_at || new Date().toISOString()
+      : null;
+  }
+
+  const { data: saved, error } = await supabaseAdmin
+    .from('generation_feedback')
+    .upsert({ usage_id: usage.id, user_id: userId, ...feedback }, { onConflict: 'usage_id' })
+    .select(FEEDBACK_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  console.log('[Feedback] Saved for generation:', usage.id, Object.keys(feedback));
+
+  return res.status(existing ? 200 : 201).json({ success: true, feedback: saved });
+}
+
+async function handleGetFeedback(userId, generationId, res) {
+  if (!isValidUUID(generationId)) {
+    return res.status(400).json({ error: 'A valid generation_id is required' });
+  }
+
+  const feedback = await getExistingFeedback(userId, generationId);
+  if (!feedback) {
+    return res.status(404).json({ error: 'Feedback not found' });
+  }
+
+  return res.status(200).json({ feedback });
+}
+
+// Totals per persona and platform; since/until are ISO dates (default: the last 30 days)
+async function handleGetReport(userId, query, res) {
+  const until = query.until ? new Date(query.until) : new Date();
+  const since = query.since
+    ? new Date(query.since)
+    : new Date(until.getTime() - FEEDBACK_CONFIG.REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(since.getTime()) || isNaN(until.getTime())) {
+    return res.status(400).json({ error: 'since and until must be ISO 8601 dates' });
+  }
+
+  if (since >= until) {
+    return res.status(400).json({ error: 'since must be before until' });
+  }
+
+  if (until - since > FEEDBACK_CONFIG.REPORT_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `Report range is limited to ${FEEDBACK_CONFIG.REPORT_MAX_DAYS} days` });
+  }
+
+  const rows = await getFeedbackReport(userId, { since, until });
+
+  return res.status(200).json({
+    since: since.toISOString(),
+    until: until.toISOString(),
+    report: rows
+  });
+}
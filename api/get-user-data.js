@@ -1,4 +1,5 @@
 const { supabaseAdmin } = require('../lib/supabase');
+const { getCreditBalance } = require('../lib/credits');
 
 module.exports = async (req, res) => {
   // Enable CORS
@@ -86,24 +87,13 @@ module.exports = async (req, res) => {
       .order('created_at', { ascending: false })
       .limit(1);
 
-    // Get available credits from credit_purchases
-    const now = new Date().toISOString();
-    const { data: activePurchases, error: creditsError } = await supabaseAdmin
-      .from('credit_purchases')
-      .select('remaining_credits')
-      .eq('user_id', user.id)
-      .gt('expires_at', now)
-      .gt('remaining_credits', 0);
-
-    const availableCredits = activePurchases 
-      ? activePurchases.reduce((sum, p) => sum + p.remaining_credits, 0)
-      : 0;
+    // Get available credits from the credit ledger
+    const { availableCredits, heldCredits } = await getCreditBalance(user.id);
     
     console.log('[GetUserData] Credits calculation:', {
       userId: user.id,
-      activePurchasesCount: activePurchases?.length || 0,
       totalAvailableCredits: availableCredits,
-      purchases: activePurchases
+      heldCredits
     });
 
     // Calculate total usage
@@ -123,7 +113,7 @@ module.exports = async (req, res) => {
       subscription = {
         status: 'active',
         credits: activeSub.credits_per_period || 200,
-        remaining_credits: availableCredits || 0,  // Use credits from credit_purchases table
+        remaining_credits: availableCredits,  // Balance from the credit ledger
         expires_at: activeSub.current_period_end,
         days_remaining: daysRemaining > 0 ? daysRemaining : 0
       };
@@ -133,7 +123,7 @@ module.exports = async (req, res) => {
       success: true,
       user: userData,
       credits: {
-        available_credits: availableCredits || 0,
+        available_credits: availableCredits,
         total_usage: totalCreditsUsed
       },
       subscription
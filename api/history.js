@@ -0,0 +1,106 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  isValidUUID,
+  configureCORS,
+  logSecurityEvent
+} = require('../lib/security');
+const {
+  validateHistoryQuery,
+  listHistory,
+  deleteHistoryEntry
+} = require('../lib/history');
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res, 'GET,OPTIONS,DELETE')) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'history');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await handleListHistory(user.id, req.query, res);
+      case 'DELETE':
+        return await handleDeleteEntry(user.id, req.query.id, res);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[History API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+async function handleListHistory(userId, query, res) {
+  const validation = validateHistoryQuery(query);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { entries, nextCursor } = await listHistory(userId, validation.filters);
+
+  return res.status(200).json({
+    entries,
+    next_cursor: nextCursor
+  });
+}
+
+async function handleDeleteEntry(userId, id, res) {
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid history entry id' });
+  }
+
+  const deleted = await deleteHistoryEntry(userId, id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+
+  console.log('[History] Entry deleted:', id);
+
+  return res.status(200).json({ success: true, deleted_id: id });
+}
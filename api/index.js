@@ -8,7 +8,16 @@ module.exports = (req, res) => {
       health: '/api/health',
       auth: '/api/auth',
       analyze: '/api/analyze',
+      extract: '/api/extract',
       credits: '/api/credits',
+      personas: '/api/personas',
+      jobs: '/api/jobs',
+      refine: '/api/refine',
+      feedback: '/api/feedback',
+      history: '/api/history',
+      models: '/api/models',
+      quote: '/api/quote',
+      export: '/api/export',
       redeemCoupon: '/api/redeem-coupon'
     },
     documentation: 'https://github.com/seoorbmarketing/ai-commenting-sidekick'
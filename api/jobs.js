@@ -0,0 +1,279 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  validateImageData,
+  isValidUUID,
+  sanitizeInput,
+  configureCORS,
+  logSecurityEvent,
+  checkPromptInjection
+} = require('../lib/security');
+const { isSupportedProvider, resolveProviderName } = require('../lib/llm');
+const { QUALITY_LEVELS, isValidQuality, resolveModelRoute } = require('../lib/models');
+const { isSupportedPlatform } = require('../lib/platforms');
+const { getPersona } = require('../lib/personas');
+const { validateThreadInput, renderThreadText } = require('../lib/post-input');
+const { getAvailableCredits } = require('../lib/credits');
+const { quoteGeneration } = require('../lib/pricing');
+const { validateGuardTerms } = require('../lib/guard');
+const {
+  JOB_CONFIG,
+  isAllowedCallbackUrl,
+  createJob,
+  getJob
+} = require('../lib/jobs');
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res)) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'jobs');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        if (req.query.id !== undefined) {
+          return await handleGetJob(user.id, req.query.id, res);
+        }
+        return await handleListJobs(user.id, res);
+      case 'POST':
+        return await handleSubmitJob(user, req.body || {}, res);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[Jobs API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+async function handleSubmitJob(user, body, res) {
+  const {
+    images,
+    thread,
+    context,
+    systemPrompt,
+    userApiKey,
+    provider,
+    platform,
+    persona_id,
+    quality,
+    callback_url
+  } = body;
+
+  // Jobs run after the request has ended, so they cannot use a key the server does not store
+  if (userApiKey) {
+    return res.status(400).json({ error: 'Jobs are charged to account credits; userApiKey is not supported' });
+  }
+
+  if (provider !== undefined && !isSupportedProvider(provider)) {
+    return res.status(400).json({ error: 'Unsupported provider' });
+  }
+
+  if (platform !== undefined && !isSupportedPlatform(platform)) {
+    return res.status(400).json({ error: 'Unsupported platform' });
+  }
+
+  if (persona_id !== undefined && !isValidUUID(persona_id)) {
+    return res.status(400).json({ error: 'Invalid persona_id' });
+  }
+
+  if (quality !== undefined && !isValidQuality(quality)) {
+    return res.status(400).json({ error: `quality must be one of: ${QUALITY_LEVELS.join(', ')}` });
+  }
+
+  const guardValidation = validateGuardTerms(body);
+  if (!guardValidation.valid) {
+    return res.status(400).json({ error: guardValidation.error });
+  }
+
+  if (callback_url !== undefined && !(await isAllowedCallbackUrl(callback_url))) {
+    return res.status(400).json({ error: 'callback_url must be an https URL on a public host' });
+  }
+
+  if (!Array.isArray(images) || images.length === 0) {
+    return res.status(400).json({ error: 'Images array is required' });
+  }
+
+  if (images.length > JOB_CONFIG.MAX_ITEMS) {
+    return res.status(400).json({ error: `Maximum ${JOB_CONFIG.MAX_ITEMS} images allowed per job` });
+  }
+
+  // Images are only validated here; the worker normalizes them before analysis
+  for (let i = 0; i < images.length; i++) {
+    const imageValidation = validateImageData(images[i]);
+    if (!imageValidation.valid) {
+      logSecurityEvent('INVALID_IMAGE_DATA', {
+        userId: user.id,
+        error: imageValidation.error,
+        imageIndex: i
+      });
+      return res.status(400).json({
+        error: `Image ${i + 1}: ${imageValidation.error}`
+      });
+    }
+  }
+
+  let threadInput = null;
+  if (thread !== undefined && thread !== null) {
+    const threadValidation = validateThreadInput(thread);
+    if (!threadValidation.valid) {
+      return res.status(400).json({ error: threadValidation.error });
+    }
+    threadInput = threadValidation.thread;
+  }
+
+  if (persona_id && !(await getPersona(user.id, persona_id))) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+
+  // Injection attempts are logged; the layered prompt keeps them from acting as instructions
+  checkPromptInjection(user.id, {
+    context: sanitizeInput(context),
+    systemPrompt: sanitizeInput(systemPrompt),
+    thread: threadInput && renderThreadText(threadInput)
+  }, 'jobs');
+
+  // Items are charged one by one as they complete; refuse jobs the balance cannot cover
+  // at the quote of the model the job would start with (images at the largest normalized size)
+  const { data: profile } = await supabaseAdmin
+    .from('users')
+    .select('llm_provider, tier')
+    .eq('id', user.id)
+    .single();
+
+  const modelRoute = resolveModelRoute({
+    providerName: resolveProviderName({ requestedProvider: provider, userProvider: profile?.llm_provider }),
+    quality: quality || JOB_CONFIG.DEFAULT_QUALITY,
+    tier: profile?.tier
+  });
+  const itemQuote = quoteGeneration({
+    entry: modelRoute.primary,
+    texts: [sanitizeInput(systemPrompt), sanitizeInput(context), threadInput && renderThreadText(threadInput)],
+    images: [{}],
+    maxTokens: modelRoute.primary.maxTokens
+  });
+  const requiredCredits = images.length * itemQuote.credits;
+  const availableCredits = await getAvailableCredits(user.id);
+  if (availableCredits < requiredCredits) {
+    return res.status(402).json({
+      error: `Insufficient credits. Need ${requiredCredits}, have ${availableCredits}`,
+      available_credits: availableCredits,
+      required_credits: requiredCredits
+    });
+  }
+
+  const job = await createJob(user.id, {
+    images,
+    callbackUrl: callback_url,
+    options: {
+      context: sanitizeInput(context) || null,
+      system_prompt: sanitizeInput(systemPrompt) || null,
+      thread: threadInput,
+      platform: platform || null,
+      persona_id: persona_id || null,
+      provider: provider || null,
+      quality: quality || null,
+      blocked_words: guardValidation.terms.blocked_words,
+      competitors: guardValidation.terms.competitors
+    }
+  });
+
+  logSecurityEvent('LLM_JOB_SUBMITTED', {
+    userId: user.id,
+    jobId: job.id,
+    imageCount: images.length
+  });
+
+  return res.status(202).json({
+    success: true,
+    job_id: job.id,
+    status: job.status,
+    total_items: job.total_items,
+    quality: modelRoute.primary.quality,
+    poll_url: `/api/jobs/${job.id}`
+  });
+}
+
+async function handleGetJob(userId, jobId, res) {
+  if (!isValidUUID(jobId)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  const job = await getJob(userId, jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const { id, options, callback_url, ...summary } = job;
+
+  return res.status(200).json({
+    job_id: id,
+    ...summary,
+    platform: options.platform,
+    persona_id: options.persona_id,
+    quality: options.quality || null,
+    callback_url,
+    // Only whether the callback arrived; the stored status code stays server-side
+    callback_status: summary.callback_status && (summary.callback_status === 'delivered' ? 'delivered' : 'failed')
+  });
+}
+
+async function handleListJobs(userId, res) {
+  const { data: jobs, error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .select('id, status, total_items, completed_items, failed_items, credits_used, created_at, completed_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(20);
+
+  if (error) {
+    throw error;
+  }
+
+  return res.status(200).json({ jobs: jobs || [] });
+}
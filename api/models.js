@@ -0,0 +1,84 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  configureCORS,
+  logSecurityEvent
+} = require('../lib/security');
+const { resolveProviderName } = require('../lib/llm');
+const { listModels } = require('../lib/models');
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res, 'GET,OPTIONS')) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'models');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    // The catalog of the provider the user's requests are routed to
+    const { data: profile } = await supabaseAdmin
+      .from('users')
+      .select('llm_provider, tier')
+      .eq('id', user.id)
+      .single();
+
+    const providerName = resolveProviderName({ userProvider: profile?.llm_provider });
+    const tier = profile?.tier || 'free';
+
+    return res.status(200).json({
+      provider: providerName,
+      tier,
+      models: listModels(providerName, tier)
+    });
+  } catch (error) {
+    console.error('[Models API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
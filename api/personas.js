@@ -0,0 +1,235 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  isValidUUID,
+  configureCORS,
+  logSecurityEvent,
+  checkPromptInjection
+} = require('../lib/security');
+const {
+  PERSONA_LIMITS,
+  PERSONA_COLUMNS,
+  validatePersonaInput
+} = require('../lib/personas');
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res, 'GET,OPTIONS,POST,PUT,DELETE')) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'personas');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    const { id, action } = req.query;
+
+    if (id !== undefined && !isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid persona id' });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await handleListPersonas(user.id, res);
+      case 'POST':
+        if (action === 'set-default') {
+          return await handleSetDefault(user.id, id || req.body?.id, res);
+        }
+        return await handleCreatePersona(user.id, req.body, res);
+      case 'PUT':
+        return await handleUpdatePersona(user.id, id, req.body, res);
+      case 'DELETE':
+        return await handleDeletePersona(user.id, id, res);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[Personas API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+async function handleListPersonas(userId, res) {
+  const { data: personas, error } = await supabaseAdmin
+    .from('personas')
+    .select(PERSONA_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return res.status(200).json({
+    personas: personas || [],
+    default_persona_id: personas?.find(p => p.is_default)?.id || null
+  });
+}
+
+async function handleCreatePersona(userId, body, res) {
+  const validation = validatePersonaInput(body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  checkPromptInjection(userId, { persona: describePersonaText(validation.persona) }, 'personas');
+
+  const { count } = await supabaseAdmin
+    .from('personas')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if ((count || 0) >= PERSONA_LIMITS.MAX_PERSONAS_PER_USER) {
+    return res.status(400).json({
+      error: `Maximum ${PERSONA_LIMITS.MAX_PERSONAS_PER_USER} personas allowed`
+    });
+  }
+
+  const { data: persona, error } = await supabaseAdmin
+    .from('personas')
+    .insert([{
+      user_id: userId,
+      ...validation.persona,
+      // The first persona becomes the default automatically
+      is_default: !count
+    }])
+    .select(PERSONA_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A persona with this name already exists' });
+    }
+    throw error;
+  }
+
+  return res.status(201).json({ success: true, persona });
+}
+
+async function handleUpdatePersona(userId, personaId, body, res) {
+  if (!personaId) {
+    return res.status(400).json({ error: 'Persona id required' });
+  }
+
+  const validation = validatePersonaInput(body, { partial: true });
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+  checkPromptInjection(userId, { persona: describePersonaText(validation.persona) }, 'personas');
+
+  const { data: persona, error } = await supabaseAdmin
+    .from('personas')
+    .update({
+      ...validation.persona,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', personaId)
+    .eq('user_id', userId)
+    .select(PERSONA_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A persona with this name already exists' });
+    }
+    throw error;
+  }
+
+  if (!persona) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+
+  return res.status(200).json({ success: true, persona });
+}
+
+async function handleDeletePersona(userId, personaId, res) {
+  if (!personaId) {
+    return res.status(400).json({ error: 'Persona id required' });
+  }
+
+  const { data: deleted, error } = await supabaseAdmin
+    .from('personas')
+    .delete()
+    .eq('id', personaId)
+    .eq('user_id', userId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!deleted) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+
+  return res.status(200).json({ success: true, deleted_id: deleted.id });
+}
+
+async function handleSetDefault(userId, personaId, res) {
+  if (!personaId || !isValidUUID(personaId)) {
+    return res.status(400).json({ error: 'Persona id required' });
+  }
+
+  // Runs in one transaction so the user never ends up with two defaults
+  const { data: defaultId, error } = await supabaseAdmin
+    .rpc('set_default_persona', {
+      p_user_id: userId,
+      p_persona_id: personaId
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  if (!defaultId) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+
+  return res.status(200).json({ success: true, default_persona_id: defaultId });
+}
+
+// Persona text fields as one block, for the injection check (personas end up in the prompt)
+function describePersonaText(persona) {
+  return Object.values(persona).flat().filter(value => typeof value === 'string').join('\n');
+}
@@ -0,0 +1,272 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  isValidUUID,
+  sanitizeInput,
+  configureCORS,
+  logSecurityEvent
+} = require('../lib/security');
+const { CANDIDATE_CONFIG, parseCandidateCount } = require('../lib/candidates');
+const { getAvailableCredits } = require('../lib/credits');
+const { isSupportedProvider, resolveProviderName } = require('../lib/llm');
+const { QUALITY_LEVELS, isValidQuality, resolveModelRoute } = require('../lib/models');
+const { isSupportedPlatform } = require('../lib/platforms');
+const { getPersona } = require('../lib/personas');
+const { validatePostInput, validateThreadInput } = require('../lib/post-input');
+const { validateDraftInput } = require('../lib/polish');
+const {
+  LANGUAGES,
+  parseReplyLanguage,
+  resolveReplyLanguage,
+  detectTextLanguage
+} = require('../lib/languages');
+const { IMAGE_CONFIG } = require('../lib/images');
+const { buildAnalysisRequest } = require('../lib/analysis');
+const { quoteRequest, priceUsage } = require('../lib/pricing');
+
+// Same limit as /api/analyze-batch
+const MAX_IMAGES = 4;
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res)) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    const user = userData.user;
+
+    const rateLimitResult = await rateLimit(user.id, 'quote');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    // The same options as /api/analyze, with the screenshot described instead of sent
+    const {
+      images = 1,
+      image_width,
+      image_height,
+      post,
+      thread,
+      context,
+      systemPrompt,
+      candidates,
+      provider,
+      platform,
+      persona_id,
+      quality,
+      reply_language,
+      draft
+    } = req.body || {};
+
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported provider' });
+    }
+
+    if (platform !== undefined && !isSupportedPlatform(platform)) {
+      return res.status(400).json({ error: 'Unsupported platform' });
+    }
+
+    if (persona_id !== undefined && !isValidUUID(persona_id)) {
+      return res.status(400).json({ error: 'Invalid persona_id' });
+    }
+
+    if (quality !== undefined && !isValidQuality(quality)) {
+      return res.status(400).json({ error: `quality must be one of: ${QUALITY_LEVELS.join(', ')}` });
+    }
+
+    const requestedLanguage = parseReplyLanguage(reply_language);
+    if (requestedLanguage === null) {
+      return res.status(400).json({
+        error: `reply_language must be 'auto' or one of: ${Object.keys(LANGUAGES).join(', ')}`
+      });
+    }
+
+    const candidateCount = parseCandidateCount(candidates);
+    if (candidateCount === null) {
+      return res.status(400).json({
+        error: `candidates must be an integer between 1 and ${CANDIDATE_CONFIG.MAX_CANDIDATES}`
+      });
+    }
+
+    if (!Number.isInteger(images) || images < 0 || images > MAX_IMAGES) {
+      return res.status(400).json({ error: `images must be an integer between 0 and ${MAX_IMAGES}` });
+    }
+
+    if (images > 1 && candidateCount > 1) {
+      return res.status(400).json({ error: 'Multiple candidates are only available for single-image requests' });
+    }
+
+    const imageSize = parseImageSize(image_width, image_height);
+    if (imageSize === null) {
+      return res.status(400).json({ error: 'image_width and image_height must be positive integers' });
+    }
+
+    let postInput = null;
+    if (post !== undefined && post !== null) {
+      const postValidation = validatePostInput(post);
+      if (!postValidation.valid) {
+        return res.status(400).json({ error: postValidation.error });
+      }
+      postInput = postValidation.post;
+    }
+
+    let threadInput = null;
+    if (thread !== undefined && thread !== null) {
+      const threadValidation = validateThreadInput(thread);
+      if (!threadValidation.valid) {
+        return res.status(400).json({ error: threadValidation.error });
+      }
+      threadInput = threadValidation.thread;
+    }
+
+    let draftInput = null;
+    if (draft !== undefined && draft !== null) {
+      const draftValidation = validateDraftInput(req.body);
+      if (!draftValidation.valid) {
+        return res.status(400).json({ error: draftValidation.error });
+      }
+      if (images > 1 || candidateCount > 1) {
+        return res.status(400).json({ error: 'draft cannot be combined with several images or candidates' });
+      }
+      draftInput = draftValidation.draft;
+    }
+
+    if (images === 0 && !postInput && !threadInput && !draftInput) {
+      return res.status(400).json({ error: 'Text-only quotes need a post, thread or draft' });
+    }
+
+    const sanitizedSystemPrompt = sanitizeInput(systemPrompt);
+
+    // The persona is part of the prompt, so it counts towards the input tokens
+    let persona = null;
+    if (persona_id || !sanitizedSystemPrompt) {
+      persona = await getPersona(user.id, persona_id);
+      if (persona_id && !persona) {
+        return res.status(404).json({ error: 'Persona not found' });
+      }
+    }
+
+    const { data: profile } = await supabaseAdmin
+      .from('users')
+      .select('llm_provider, tier')
+      .eq('id', user.id)
+      .single();
+
+    const providerName = resolveProviderName({
+      requestedProvider: provider,
+      userProvider: profile?.llm_provider
+    });
+
+    // Several images are quoted as an /api/analyze-batch request (default quality balanced)
+    const modelRoute = resolveModelRoute({
+      providerName,
+      quality: quality || (images > 1 ? 'balanced' : 'fast'),
+      tier: profile?.tier
+    });
+    const entry = modelRoute.primary;
+    const features = { candidates: candidateCount };
+
+    // The request the analysis endpoint would send, without the screenshot. A batch quotes its
+    // last image (the longest position suffix) at the largest size, like /api/analyze-batch
+    const isBatch = images > 1;
+    const replyLanguage = resolveReplyLanguage(requestedLanguage, persona) ||
+      (draftInput ? detectTextLanguage([draftInput.text]) : null);
+    const request = buildAnalysisRequest({
+      systemPrompt: sanitizedSystemPrompt,
+      persona,
+      platform,
+      replyLanguage,
+      context: sanitizeInput(context),
+      post: isBatch ? null : postInput,
+      thread: threadInput,
+      draft: draftInput,
+      candidateCount,
+      hasImage: images > 0,
+      suffix: isBatch ? ` (Image ${images} of ${images})` : '',
+      userId: user.id
+    }, entry);
+    const quote = quoteRequest({
+      entry,
+      request,
+      images: images > 0 ? [isBatch ? {} : imageSize] : [],
+      features
+    });
+
+    // The least a generation can cost: the model's base credits plus features
+    const minimum = priceUsage({ entry, usage: null, features });
+    const perGeneration = Math.max(images, 1);
+
+    return res.status(200).json({
+      provider: providerName,
+      quality: entry.quality,
+      quality_downgraded: modelRoute.downgraded,
+      model: entry.model,
+      image_detail: images > 0 ? entry.imageDetail : null,
+      credits: quote.credits * perGeneration,
+      min_credits: minimum.credits * perGeneration,
+      estimated_input_tokens: quote.breakdown.input_tokens * perGeneration,
+      max_output_tokens: quote.breakdown.output_tokens * perGeneration,
+      available_credits: await getAvailableCredits(user.id)
+    });
+  } catch (error) {
+    console.error('[Quote API] Error:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Normalized screenshot size from the client's dimensions (undefined: assume the largest size,
+// null: invalid). Images are downscaled to IMAGE_MAX_DIMENSION before reaching the model
+function parseImageSize(width, height) {
+  if (width === undefined && height === undefined) {
+    return undefined;
+  }
+
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    return null;
+  }
+
+  const scale = Math.min(1, IMAGE_CONFIG.MAX_DIMENSION / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
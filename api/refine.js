@@ -0,0 +1,341 @@
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+  rateLimit,
+  isValidUUID,
+  configureCORS,
+  logSecurityEvent,
+  checkPromptInjection,
+  sanitizeError
+} = require('../lib/security');
+const {
+  LLM_CONFIG,
+  OWN_KEY_PROVIDERS,
+  isSupportedProvider,
+  isOwnKeyProvider,
+  isProviderConfigured,
+  resolveProviderName
+} = require('../lib/llm');
+const { resolveModelRoute, completeWithFallback } = require('../lib/models');
+const { enforceLengthLimit } = require('../lib/platforms');
+const { getPersona } = require('../lib/personas');
+const { DEFAULT_SYSTEM_PROMPT, buildSystemPrompt } = require('../lib/prompts');
+const { getGenerationContext, storeGenerationContext } = require('../lib/generations');
+const {
+  REFINE_CONFIG,
+  validateRefineInput,
+  getRefineSource,
+  buildRefineMessage,
+  describeRefineInstruction
+} = require('../lib/refine');
+const {
+  reserveCredits,
+  consumeCredits,
+  releaseCredits
+} = require('../lib/credits');
+const { priceUsage } = require('../lib/pricing');
+const {
+  validateGuardTerms,
+  buildGuardOptions,
+  generateGuarded,
+  applyGuardCorrection,
+  sumUsage
+} = require('../lib/guard');
+
+// Refinements are text-only, so they finish well inside the function limit
+const REFINE_TIMEOUT_MS = 8000;
+
+// Verify the default LLM provider is configured
+if (!isProviderConfigured(LLM_CONFIG.DEFAULT_PROVIDER)) {
+  console.error('[CRITICAL] LLM provider not configured:', LLM_CONFIG.DEFAULT_PROVIDER);
+  process.exit(1);
+}
+
+module.exports = async (req, res) => {
+  // Configure CORS
+  if (!configureCORS(req, res)) {
+    logSecurityEvent('CORS_BLOCKED', {
+      origin: req.headers.origin,
+      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  let user;
+  let creditHold = null;
+
+  try {
+    // Verify user authentication
+    const { data: userData, error: authError } = await supabaseAdmin.auth.getUser(token);
+
+    if (authError || !userData.user) {
+      logSecurityEvent('AUTH_FAILED', { token: token.substring(0, 10) + '...' });
+      return res.status(401).json({ error: 'Authentication failed' });
+    }
+
+    user = userData.user;
+
+    // Rate limiting
+    const rateLimitResult = await rateLimit(user.id, 'refine');
+    if (!rateLimitResult.allowed) {
+      logSecurityEvent('RATE_LIMIT_EXCEEDED', { userId: user.id });
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: rateLimitResult.retryAfter
+      });
+    }
+
+    const body = req.body || {};
+    const { generation_id, userApiKey, provider } = body;
+
+    if (!isValidUUID(generation_id)) {
+      return res.status(400).json({ error: 'A valid generation_id is required' });
+    }
+
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported provider' });
+    }
+
+    if (userApiKey && provider !== undefined && !isOwnKeyProvider(provider)) {
+      return res.status(400).json({ error: `userApiKey only works with these providers: ${OWN_KEY_PROVIDERS.join(', ')}` });
+    }
+
+    const refineValidation = validateRefineInput(body);
+    if (!refineValidation.valid) {
+      return res.status(400).json({ error: refineValidation.error });
+    }
+    const { refine } = refineValidation;
+
+    const guardValidation = validateGuardTerms(body);
+    if (!guardValidation.valid) {
+      return res.status(400).json({ error: guardValidation.error });
+    }
+
+    // Custom instructions are logged if they try to override the prompt rules
+    if (refine.instruction === 'custom') {
+      checkPromptInjection(user.id, { instruction: refine.text }, 'refine');
+    }
+
+    // The generation being refined, with the inputs it was produced from
+    const generation = await getGenerationContext(user.id, generation_id);
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const sourceText = getRefineSource(generation, refine.candidate);
+    if (!sourceText) {
+      return res.status(400).json({ error: `Generation has no candidate ${refine.candidate}` });
+    }
+
+    // Keep the original persona; a deleted persona falls back to the stored prompt
+    const persona = generation.persona_id
+      ? await getPersona(user.id, generation.persona_id)
+      : null;
+
+    const guardOptions = buildGuardOptions({
+      terms: guardValidation.terms,
+      persona,
+      systemPrompt: generation.system_prompt || DEFAULT_SYSTEM_PROMPT
+    });
+
+    // Check if user is using their own API key or credits
+    const isUsingOwnApiKey = !!userApiKey;
+
+    // Pick the LLM provider (user's own key, per-user assignment or configured default)
+    let userProvider = null;
+    if (!isUsingOwnApiKey) {
+      const { data: profile } = await supabaseAdmin
+        .from('users')
+        .select('llm_provider')
+        .eq('id', user.id)
+        .single();
+      userProvider = profile?.llm_provider;
+    }
+
+    const providerName = resolveProviderName({
+      userApiKey,
+      requestedProvider: provider,
+      userProvider
+    });
+
+    // Refinements are short text-only rewrites, so they always use the fast model
+    const modelRoute = resolveModelRoute({ providerName, quality: 'fast', ownKey: isUsingOwnApiKey });
+
+    // Refinements have their own flat price, at least the credits of the fast model
+    const creditCost = isUsingOwnApiKey
+      ? 0
+      : Math.max(REFINE_CONFIG.CREDITS, modelRoute.primary.credits);
+
+    // Reserve credits before calling the model; the hold is released if anything fails
+    if (creditCost > 0) {
+      const reservation = await reserveCredits(user.id, creditCost, '[Refine]');
+
+      if (!reservation.success) {
+        return res.status(reservation.status).json({
+          error: reservation.error,
+          available_credits: reservation.availableCredits || 0,
+          required_credits: creditCost
+        });
+      }
+      creditHold = reservation;
+    }
+
+    logSecurityEvent('LLM_REQUEST', {
+      userId: user.id,
+      usingOwnKey: isUsingOwnApiKey,
+      provider: providerName,
+      inputMode: 'refine',
+      instruction: refine.instruction
+    });
+
+    // The output guard may regenerate the refinement once within the time budget
+    const deadline = Date.now() + REFINE_TIMEOUT_MS;
+    const guarded = await generateGuarded(async correction => {
+      const attempt = await completeWithFallback(modelRoute, () => applyGuardCorrection({
+        system: buildSystemPrompt({
+          systemPrompt: generation.system_prompt,
+          persona,
+          platform: generation.platform
+        }),
+        messages: [
+          {
+            role: 'user',
+            content: [{ type: 'text', text: buildRefineMessage(generation, sourceText, refine) }]
+          }
+        ],
+        maxTokens: REFINE_CONFIG.MAX_TOKENS,
+        temperature: 0.7,
+        userId: user.id // For provider abuse monitoring
+      }, correction), { userApiKey, timeoutMs: deadline - Date.now(), logPrefix: '[Refine]' });
+
+      const limited = enforceLengthLimit(attempt.completion.text, generation.platform);
+      return { ...attempt, text: limited.text, truncated: limited.truncated };
+    }, guardOptions, { deadline, logPrefix: '[Refine]' });
+
+    const { entry, fellBack, text, truncated } = guarded.output;
+    const completion = {
+      ...guarded.output.completion,
+      usage: sumUsage(guarded.attempts.map(attempt => attempt.completion))
+    };
+
+    // Refinements have a flat price; the provider cost is still recorded
+    const pricing = priceUsage({ entry, usage: completion.usage, flatCredits: creditCost });
+
+    // Charge the hold and log the refinement against the original generation
+    const consumption = await consumeCredits({
+      userId: user.id,
+      holdId: creditHold?.holdId || null,
+      usageRows: [{
+        context: generation.context ? generation.context.substring(0, 100) : null,
+        ai_response: text.substring(0, 200),
+        credits_used: creditCost,
+        platform: generation.platform,
+        persona_id: generation.persona_id,
+        input_mode: 'refine',
+        parent_usage_id: generation.usage_id,
+        refine_instruction: describeRefineInstruction(refine),
+        quality: entry.quality,
+        fallback_used: fellBack,
+        cost_usd: pricing.costUsd,
+        pricing: pricing.breakdown,
+        guard_warnings: [...new Set(guarded.warnings.map(warning => warning.code))],
+        regenerated: guarded.regenerated,
+        provider: completion.provider,
+        model: completion.model,
+        input_tokens: completion.usage.inputTokens,
+        output_tokens: completion.usage.outputTokens,
+        api_key_used: isUsingOwnApiKey
+      }]
+    }, '[Refine]');
+
+    if (!consumption.success) {
+      if (creditHold) {
+        await releaseCredits(creditHold.holdId, 'charge_failed', '[Refine]');
+      }
+      creditHold = null;
+      return res.status(consumption.status).json({
+        error: consumption.error,
+        details: consumption.details
+      });
+    }
+    creditHold = null;
+
+    // The refined comment can itself be refined again
+    const generationId = consumption.usageIds[0] || null;
+    await storeGenerationContext(user.id, generationId, {
+      response: text,
+      context: generation.context,
+      postText: generation.post_text,
+      systemPrompt: generation.system_prompt,
+      platform: generation.platform,
+      personaId: generation.persona_id
+    });
+
+    return res.status(200).json({
+      success: true,
+      generation_id: generationId,
+      parent_generation_id: generation.usage_id,
+      instruction: refine.instruction,
+      response: text,
+      truncated,
+      warnings: guarded.warnings,
+      regenerated: guarded.regenerated,
+      platform: generation.platform,
+      persona_id: generation.persona_id,
+      credits_charged: creditCost,
+      remaining_credits: isUsingOwnApiKey ? null : consumption.remainingCredits,
+      tokens_used: completion.usage.totalTokens
+    });
+
+  } catch (error) {
+    // Failed refinements never cost credits
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, 'error', '[Refine]');
+    }
+
+    console.error('[Refine] Error:', error.message);
+    logSecurityEvent('API_ERROR', {
+      userId: user?.id,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+
+    // Handle specific errors
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'AI provider rate limit exceeded. Please try again later.'
+      });
+    }
+
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return res.status(504).json({ error: 'Request timeout - please try again' });
+    }
+
+    if (error.status === 401) {
+      console.error('[CRITICAL] LLM provider authentication failed');
+      return res.status(500).json({
+        error: 'Service temporarily unavailable'
+      });
+    }
+
+    // Generic error response
+    return res.status(500).json({
+      error: sanitizeError(error)
+    });
+  }
+};
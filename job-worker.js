@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+// Analysis job worker
+// Processes queued items of /api/jobs. Run it next to the API, locally or on any server:
+//   node --env-file=.env job-worker.js          keep polling for new items
+//   node --env-file=.env job-worker.js --once   exit once the queue is empty
+
+const { JOB_CONFIG, runWorkerOnce } = require('./lib/jobs');
+
+const once = process.argv.includes('--once');
+let stopping = false;
+
+process.on('SIGINT', () => {
+  console.log('[Worker] Stopping after the current items...');
+  stopping = true;
+});
+process.on('SIGTERM', () => {
+  stopping = true;
+});
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  console.log('[Worker] Started', once ? '(until the queue is empty)' : '');
+
+  while (!stopping) {
+    let processed = 0;
+    try {
+      processed = await runWorkerOnce();
+      if (processed > 0) {
+        console.log(`[Worker] Processed ${processed} item(s)`);
+      }
+    } catch (error) {
+      console.error('[Worker] Error:', error.message);
+    }
+
+    if (processed === 0) {
+      if (once) break;
+      await sleep(JOB_CONFIG.POLL_INTERVAL_MS);
+    }
+  }
+
+  console.log('[Worker] Stopped');
+}
+
+main();
@@ -0,0 +1,67 @@
+const { CANDIDATE_CONFIG, buildCandidateInstructions } = require('./candidates');
+const { POLISH_CONFIG, POLISH_TASK, buildPolishInstructions, buildDraftText } = require('./polish');
+const { renderPostText, renderThreadText } = require('./post-input');
+const { IMAGE_NOTICE, buildSystemPrompt, buildTaskText } = require('./prompts');
+
+// Model requests for /api/analyze and /api/analyze-batch
+// /api/quote builds the same request with the screenshot left out, so the tokens it quotes are
+// the ones the analysis endpoints reserve
+
+// The model request for one analysis on a catalog entry. `image` is the normalized data URL;
+// quotes pass hasImage without one. suffix is added to the task line (e.g. "(Image 2 of 4)")
+function buildAnalysisRequest({
+  systemPrompt,
+  persona,
+  platform,
+  replyLanguage,
+  context,
+  post = null,
+  thread = null,
+  draft = null,
+  candidateCount = 1,
+  hasImage,
+  image = null,
+  suffix = '',
+  userId
+}, modelEntry) {
+  // Candidates and polished drafts come back as JSON
+  const json = candidateCount > 1 || !!draft;
+  const systemContent = buildSystemPrompt({
+    systemPrompt,
+    persona,
+    platform,
+    language: { reply: replyLanguage, json }
+  });
+
+  return {
+    system: candidateCount > 1
+      ? systemContent + '\n' + buildCandidateInstructions(candidateCount)
+      : draft ? systemContent + '\n' + buildPolishInstructions() : systemContent,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: buildTaskText({ context, hasImage, suffix, task: draft && POLISH_TASK }) },
+          ...(post ? [{ type: 'text', text: renderPostText(post) }] : []),
+          ...(thread ? [{ type: 'text', text: renderThreadText(thread) }] : []),
+          ...(draft ? [{ type: 'text', text: buildDraftText(draft) }] : []),
+          ...(hasImage ? [{ type: 'text', text: IMAGE_NOTICE }, {
+            type: 'image',
+            dataUrl: image,
+            detail: modelEntry.imageDetail
+          }] : [])
+        ]
+      }
+    ],
+    maxTokens: candidateCount > 1
+      ? CANDIDATE_CONFIG.TOKENS_PER_CANDIDATE * candidateCount
+      : draft ? POLISH_CONFIG.MAX_TOKENS : modelEntry.maxTokens,
+    temperature: draft ? 0.3 : 0.7,
+    json,
+    userId // For provider abuse monitoring
+  };
+}
+
+module.exports = {
+  buildAnalysisRequest
+};
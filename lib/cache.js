@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+
+// Response cache for repeated analyses of the same post
+// Entries are scoped to a user and keyed by a hash of the exact model request
+// (normalized image hash, prompt, persona, platform, post/thread text, model).
+// The image hash is a SHA-256 of the normalized bytes, not a perceptual hash: a hit needs the
+// same screenshot byte for byte after normalization, so a recapture of the same post (scrolled,
+// resized, different theme) misses. Similar-looking screenshots of different posts never collide
+
+const CACHE_CONFIG = {
+  ENABLED: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+  TTL_SECONDS: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS || '86400'), // 24 hours
+  // Credits charged when a cached result is returned (0 = free)
+  HIT_CREDITS: parseInt(process.env.CACHE_HIT_CREDITS || '0')
+};
+
+// Hash a model request; image payloads are replaced by their content hash
+function buildCacheKey(providerName, llmRequest, imageHash) {
+  const messages = llmRequest.messages.map(message => ({
+    role: message.role,
+    content: typeof message.content === 'string'
+      ? message.content
+      : message.content.map(part => (part.type === 'image' ? { type: 'image', hash: imageHash } : part))
+  }));
+
+  const payload = JSON.stringify({
+    provider: providerName,
+    model: llmRequest.model,
+    system: llmRequest.system,
+    messages,
+    maxTokens: llmRequest.maxTokens,
+    json: !!llmRequest.json
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Return the cached payload for this user and key, or null when missing or expired
+async function getCachedResponse(userId, cacheKey) {
+  const { data: entry, error } = await supabaseAdmin
+    .from('response_cache')
+    .select('payload, created_at')
+    .eq('user_id', userId)
+    .eq('cache_key', cacheKey)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    console.error('[Cache] Lookup error:', error);
+    return null;
+  }
+
+  return entry ? { ...entry.payload, cached_at: entry.created_at } : null;
+}
+
+// Store (or refresh) a payload; failures are logged and never fail the request
+async function storeCachedResponse(userId, cacheKey, payload) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + CACHE_CONFIG.TTL_SECONDS * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('response_cache')
+    .upsert([{
+      user_id: userId,
+      cache_key: cacheKey,
+      payload,
+      created_at: now.toISOString(),
+      expires_at: expiresAt.toISOString()
+    }], { onConflict: 'user_id,cache_key' });
+
+  if (error) {
+    console.error('[Cache] Store error:', error);
+  }
+}
+
+module.exports = {
+  CACHE_CONFIG,
+  buildCacheKey,
+  getCachedResponse,
+  storeCachedResponse
+};
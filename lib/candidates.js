@@ -0,0 +1,82 @@
+// Multi-candidate reply generation
+// A single model call returns several ranked variants, each written from a different angle
+
+// Reply angles, in the order they are offered to the model
+const CANDIDATE_ANGLES = [
+  { label: 'question', instruction: 'Ask a thoughtful question that invites the author to expand on the post' },
+  { label: 'compliment', instruction: 'Give a specific, genuine compliment about something in the post' },
+  { label: 'insight', instruction: 'Add a short insight or perspective that builds on the post' },
+  { label: 'experience', instruction: 'Share a brief, relatable personal experience connected to the post' },
+  { label: 'humor', instruction: 'Respond with light, friendly humor that stays on topic' }
+];
+
+const CANDIDATE_CONFIG = {
+  MAX_CANDIDATES: CANDIDATE_ANGLES.length,
+  TOKENS_PER_CANDIDATE: 120
+};
+
+// Parse the requested candidate count (defaults to 1, returns null when invalid)
+function parseCandidateCount(value) {
+  if (value === undefined || value === null) return 1;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > CANDIDATE_CONFIG.MAX_CANDIDATES) {
+    return null;
+  }
+
+  return count;
+}
+
+// Instructions appended to the system prompt when more than one candidate is requested
+function buildCandidateInstructions(count) {
+  const angles = CANDIDATE_ANGLES.slice(0, count);
+
+  return `
+Write ${count} alternative replies, one for each of these angles:
+${angles.map(angle => `- ${angle.label}: ${angle.instruction}`).join('\n')}
+Rank them from best to worst fit for the post.
+Respond with JSON only, in this exact shape:
+{"candidates": [{"label": "<angle label>", "text": "<reply>"}]}`;
+}
+
+// Extract ranked candidates from the model's JSON output
+function parseCandidates(content, count) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error('Invalid candidate response from model');
+  }
+
+  const allowedLabels = CANDIDATE_ANGLES.slice(0, count).map(angle => angle.label);
+  const seen = new Set();
+  const candidates = [];
+
+  for (const item of Array.isArray(parsed.candidates) ? parsed.candidates : []) {
+    if (!item || typeof item.text !== 'string' || !item.text.trim()) continue;
+
+    const label = allowedLabels.includes(item.label) ? item.label : null;
+    if (!label || seen.has(label)) continue;
+
+    seen.add(label);
+    candidates.push({
+      rank: candidates.length + 1,
+      label,
+      response: item.text.trim()
+    });
+  }
+
+  if (candidates.length === 0) {
+    throw new Error('Invalid candidate response from model');
+  }
+
+  return candidates.slice(0, count);
+}
+
+module.exports = {
+  CANDIDATE_ANGLES,
+  CANDIDATE_CONFIG,
+  parseCandidateCount,
+  buildCandidateInstructions,
+  parseCandidates
+};
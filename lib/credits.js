@@ -0,0 +1,180 @@
+const { supabaseAdmin } = require('./supabase');
+
+// Credit reservation and consumption
+// reserveCredits() moves credits into a hold before the model call; consumeCredits() then
+// charges it together with the usage rows, releaseCredits() returns it on failure, and
+// holds that are never resolved expire on their own
+
+const CREDIT_CONFIG = {
+  // Longer than the function time limit, so a hold outlives the request that created it
+  HOLD_TTL_SECONDS: parseInt(process.env.CREDIT_HOLD_TTL_SECONDS || '60')
+};
+
+// Balance service: every endpoint reads balances from here
+// The credit_transactions ledger is the source of truth; held credits are not spendable
+
+async function getCreditBalance(userId) {
+  const { data: balance, error } = await supabaseAdmin
+    .rpc('get_credit_balance', { p_user_id: userId });
+
+  if (error) {
+    throw error;
+  }
+
+  const nextExpiryDate = balance?.next_expiry_date || null;
+
+  return {
+    balance: balance?.balance || 0,
+    heldCredits: balance?.held_credits || 0,
+    availableCredits: balance?.available_credits || 0,
+    nextExpiryDate,
+    daysUntilExpiry: nextExpiryDate
+      ? Math.ceil((new Date(nextExpiryDate) - new Date()) / (1000 * 60 * 60 * 24))
+      : null
+  };
+}
+
+async function getAvailableCredits(userId) {
+  const { availableCredits } = await getCreditBalance(userId);
+  return availableCredits;
+}
+
+// Purchases that still have spendable credits, earliest expiry first
+async function getActivePurchases(userId) {
+  const { data: purchases, error } = await supabaseAdmin
+    .from('credit_purchases')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('payment_status', 'completed')
+    .gt('expires_at', new Date().toISOString())
+    .gt('remaining_credits', 0)
+    .order('expires_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return purchases || [];
+}
+
+// Ledger entries, newest first; `before` is the created_at of the last entry already seen
+async function getCreditTransactions(userId, { limit = 50, before } = {}) {
+  let query = supabaseAdmin
+    .from('credit_transactions')
+    .select('id, type, amount, balance_after, purchase_id, usage_id, hold_id, description, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (before) {
+    query = query.lt('created_at', before);
+  }
+
+  const { data: transactions, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return transactions || [];
+}
+
+// Atomically reserve credits (earliest-expiring purchases first). Callers that can run longer
+// than the default hold lifetime pass their own ttlSeconds
+async function reserveCredits(userId, amount, logPrefix = '[Credits]', ttlSeconds = CREDIT_CONFIG.HOLD_TTL_SECONDS) {
+  const { data: result, error } = await supabaseAdmin
+    .rpc('reserve_credits', {
+      p_user_id: userId,
+      p_amount: amount,
+      p_ttl_seconds: ttlSeconds
+    });
+
+  if (error) {
+    console.error(`${logPrefix} Credit reservation failed:`, error);
+    return {
+      success: false,
+      status: 500,
+      error: 'Failed to reserve credits - please try again'
+    };
+  }
+
+  if (!result?.success) {
+    return {
+      success: false,
+      status: 402,
+      error: 'Insufficient credits',
+      availableCredits: result?.available_credits || 0
+    };
+  }
+
+  console.log(`${logPrefix} Reserved ${amount} credit(s), hold:`, result.hold_id);
+  return {
+    success: true,
+    holdId: result.hold_id,
+    purchaseId: result.purchase_id,
+    subscriptionId: result.subscription_id
+  };
+}
+
+// Charge credits and log usage in one transaction (consume_credits RPC)
+// `usageRows` are api_usage rows without user/purchase ids; each row's credits_used is charged.
+// With a hold the credits come from it and any unused part is returned; without one they are
+// taken from purchases, earliest expiry first
+async function consumeCredits({ userId, usageRows, holdId = null }, logPrefix = '[Credits]') {
+  const { data: result, error } = await supabaseAdmin
+    .rpc('consume_credits', {
+      p_user_id: userId,
+      p_usage: usageRows,
+      p_hold_id: holdId
+    });
+
+  if (error || !result?.success) {
+    console.error(`${logPrefix} Credit consumption failed:`, error || result);
+    const insufficient = result?.error === 'Insufficient credits';
+    return {
+      success: false,
+      status: insufficient ? 402 : 500,
+      error: insufficient ? 'Insufficient credits' : 'Failed to charge credits - please try again',
+      availableCredits: result?.available_credits,
+      details: result?.error
+    };
+  }
+
+  return {
+    success: true,
+    usageIds: result.usage_ids || [],
+    creditsCharged: result.credits_charged,
+    remainingCredits: result.available_credits
+  };
+}
+
+// Return held credits to the user; never throws, since it runs on error paths
+async function releaseCredits(holdId, reason, logPrefix = '[Credits]') {
+  try {
+    const { data: result, error } = await supabaseAdmin
+      .rpc('release_credit_hold', { p_hold_id: holdId, p_reason: reason });
+
+    if (error || !result?.success) {
+      // The hold still expires on its own, so the credits are not lost
+      console.error(`${logPrefix} Credit release failed:`, error || result);
+      return false;
+    }
+
+    console.log(`${logPrefix} Released credit hold:`, holdId, reason);
+    return true;
+  } catch (error) {
+    console.error(`${logPrefix} Credit release error:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  CREDIT_CONFIG,
+  getCreditBalance,
+  getAvailableCredits,
+  getActivePurchases,
+  getCreditTransactions,
+  reserveCredits,
+  consumeCredits,
+  releaseCredits
+};
@@ -0,0 +1,279 @@
+const { supabaseAdmin } = require('./supabase');
+
+// Account data export
+// Streams one dataset of a user's records (usage, purchases or subscription events) as CSV or JSON.
+// Columns are fixed per dataset and every timestamp is written as ISO 8601 with the offset of the
+// requested timezone, so files from different users and periods line up in spreadsheets
+
+const EXPORT_CONFIG = {
+  PAGE_SIZE: 1000,
+  DEFAULT_DAYS: 30,
+  MAX_DAYS: 366
+};
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Each dataset: source table, selected columns, timestamp columns and how a row maps to export columns
+const EXPORT_DATASETS = {
+  usage: {
+    table: 'api_usage',
+    select: 'id, created_at, status, error_code, input_mode, platform, persona_id, persona:personas(name), context, ai_response, credits_used, api_key_used, cached, candidate_count, provider, model, input_tokens, output_tokens, parent_usage_id, refine_instruction, deleted_at',
+    columns: [
+      'generation_id', 'created_at', 'status', 'error_code', 'input_mode', 'platform', 'persona_id',
+      'persona_name', 'context', 'response', 'credits_used', 'api_key_used', 'cached', 'candidate_count',
+      'provider', 'model', 'input_tokens', 'output_tokens', 'parent_generation_id', 'refine_instruction',
+      'deleted_at'
+    ],
+    timestamps: ['created_at', 'deleted_at'],
+    mapRow: row => ({
+      ...row,
+      generation_id: row.id,
+      persona_name: row.persona?.name || null,
+      response: row.ai_response,
+      parent_generation_id: row.parent_usage_id
+    })
+  },
+  purchases: {
+    table: 'credit_purchases',
+    select: 'id, created_at, purchase_type, payment_status, credits, remaining_credits, amount_paid, currency, expires_at, subscription_id, stripe_payment_intent_id',
+    columns: [
+      'purchase_id', 'created_at', 'purchase_type', 'payment_status', 'credits', 'remaining_credits',
+      'amount_paid', 'currency', 'expires_at', 'subscription_id', 'stripe_payment_intent_id'
+    ],
+    timestamps: ['created_at', 'expires_at'],
+    mapRow: row => ({
+      ...row,
+      purchase_id: row.id,
+      // Money always with two decimals
+      amount_paid: row.amount_paid === null ? null : Number(row.amount_paid).toFixed(2)
+    })
+  },
+  subscription_events: {
+    table: 'subscription_history',
+    select: 'id, created_at, subscription_id, event_type, stripe_event_id, details',
+    columns: ['event_id', 'created_at', 'subscription_id', 'event_type', 'stripe_event_id', 'details'],
+    timestamps: ['created_at'],
+    mapRow: row => ({
+      ...row,
+      event_id: row.id,
+      details: row.details ? JSON.stringify(row.details) : null
+    })
+  }
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a timezone
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, part.value]));
+}
+
+// Offset of a timezone from UTC at an instant, in minutes
+function getTimezoneOffset(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Midnight of a YYYY-MM-DD date in a timezone (re-checked once for DST changes)
+function startOfZonedDay(dateString, timezone, addDays = 0) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day + addDays);
+  let instant = utcMidnight - getTimezoneOffset(new Date(utcMidnight), timezone) * 60000;
+  instant = utcMidnight - getTimezoneOffset(new Date(instant), timezone) * 60000;
+  return new Date(instant);
+}
+
+// ISO 8601 with the timezone's offset, e.g. 2026-03-01T09:30:00+01:00
+function formatTimestamp(value, timezone) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  const p = getZonedParts(date, timezone);
+  const offset = getTimezoneOffset(date, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${sign}${hours}:${minutes}`;
+}
+
+// Date-only bounds cover whole days in the timezone (until is inclusive); timestamps are used as given
+function parseBound(value, timezone, { endOfDay = false } = {}) {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    return startOfZonedDay(value, timezone, endOfDay ? 1 : 0);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Validate the export query string
+function validateExportQuery(query) {
+  const input = query || {};
+
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_DATASETS, input.dataset)) {
+    return { valid: false, error: `dataset must be one of: ${Object.keys(EXPORT_DATASETS).join(', ')}` };
+  }
+
+  const format = input.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { valid: false, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const timezone = input.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    return { valid: false, error: 'timezone must be an IANA timezone name (e.g. Europe/Berlin)' };
+  }
+
+  const until = input.until ? parseBound(input.until, timezone, { endOfDay: true }) : new Date();
+  const since = input.since
+    ? parseBound(input.since, timezone)
+    : new Date(until.getTime() - EXPORT_CONFIG.DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!since || !until) {
+    return { valid: false, error: 'since and until must be ISO 8601 dates (YYYY-MM-DD or full timestamps)' };
+  }
+
+  if (since >= until) {
+    return { valid: false, error: 'since must be before until' };
+  }
+
+  if (until - since > EXPORT_CONFIG.MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { valid: false, error: `Export range is limited to ${EXPORT_CONFIG.MAX_DAYS} days` };
+  }
+
+  return { valid: true, params: { dataset: input.dataset, format, timezone, since, until } };
+}
+
+// Values starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+// A source row as an ordered export record
+function toExportRecord(dataset, row, timezone) {
+  const mapped = dataset.mapRow(row);
+  for (const column of dataset.timestamps) {
+    mapped[column] = formatTimestamp(mapped[column], timezone);
+  }
+  return Object.fromEntries(dataset.columns.map(column => [column, mapped[column] ?? null]));
+}
+
+// One page of rows after the keyset cursor, oldest first
+async function fetchExportPage(dataset, userId, { since, until }, cursor) {
+  let query = supabaseAdmin
+    .from(dataset.table)
+    .select(dataset.select)
+    .eq('user_id', userId)
+    .gte('created_at', since.toISOString())
+    .lt('created_at', until.toISOString());
+
+  if (cursor) {
+    query = query.or(`created_at.gt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.gt.${cursor.id})`);
+  }
+
+  const { data: rows, error } = await query
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(EXPORT_CONFIG.PAGE_SIZE);
+
+  if (error) {
+    throw error;
+  }
+
+  return rows || [];
+}
+
+function getExportFilename(params) {
+  const day = date => formatTimestamp(date, params.timezone).substring(0, 10);
+  return `${params.dataset}-${day(params.since)}-to-${day(params.until)}.${params.format}`;
+}
+
+// Stream the export to the response. The first page is read before any headers are sent, so
+// errors there still get a normal error response; a later failure aborts the download instead
+// of leaving a silently truncated file
+async function streamExport(res, userId, params) {
+  const dataset = EXPORT_DATASETS[params.dataset];
+  let rows = await fetchExportPage(dataset, userId, params, null);
+
+  res.setHeader('Content-Type', params.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(params)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200);
+
+  if (params.format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    res.write('\ufeff' + toCsvRow(dataset.columns));
+  } else {
+    res.write(JSON.stringify({
+      dataset: params.dataset,
+      timezone: params.timezone,
+      since: formatTimestamp(params.since, params.timezone),
+      until: formatTimestamp(params.until, params.timezone),
+      columns: dataset.columns
+    }).slice(0, -1) + ',"rows":[');
+  }
+
+  let rowCount = 0;
+
+  try {
+    while (rows.length > 0) {
+      const chunk = rows.map(row => {
+        const record = toExportRecord(dataset, row, params.timezone);
+        return params.format === 'csv'
+          ? toCsvRow(dataset.columns.map(column => record[column]))
+          : (rowCount++ > 0 ? ',' : '') + JSON.stringify(record);
+      });
+      res.write(chunk.join(''));
+
+      if (rows.length < EXPORT_CONFIG.PAGE_SIZE) break;
+      rows = await fetchExportPage(dataset, userId, params, rows[rows.length - 1]);
+    }
+  } catch (error) {
+    console.error('[Export] Stream aborted:', error.message);
+    res.destroy(error);
+    return;
+  }
+
+  res.end(params.format === 'csv' ? '' : ']}');
+}
+
+module.exports = {
+  EXPORT_CONFIG,
+  EXPORT_DATASETS,
+  validateExportQuery,
+  streamExport
+};
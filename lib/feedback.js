@@ -0,0 +1,90 @@
+const { supabaseAdmin } = require('./supabase');
+const { sanitizeInput } = require('./security');
+
+// Feedback on generations
+// The extension reports how a generated comment was received: a thumbs up/down, the text the
+// user finally posted and whether it was posted. Feedback is keyed by the generation's api_usage row
+
+const FEEDBACK_CONFIG = {
+  FINAL_TEXT_LENGTH: 5000,
+  REPORT_DEFAULT_DAYS: 30,
+  REPORT_MAX_DAYS: 366
+};
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+
+const FEEDBACK_COLUMNS = 'generation_id:usage_id, rating, final_text, edited, posted, posted_at, created_at, updated_at';
+
+// Validate the feedback fields of a request body; only the provided fields are returned
+// (rating: null clears an earlier rating)
+function validateFeedbackInput(body) {
+  const input = body || {};
+  const feedback = {};
+
+  if (input.rating !== undefined) {
+    if (input.rating !== null && !FEEDBACK_RATINGS.includes(input.rating)) {
+      return { valid: false, error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')} or null` };
+    }
+    feedback.rating = input.rating;
+  }
+
+  if (input.final_text !== undefined) {
+    if (input.final_text !== null && typeof input.final_text !== 'string') {
+      return { valid: false, error: 'final_text must be a string' };
+    }
+    feedback.final_text = sanitizeInput(input.final_text, FEEDBACK_CONFIG.FINAL_TEXT_LENGTH) || null;
+  }
+
+  if (input.posted !== undefined) {
+    if (typeof input.posted !== 'boolean') {
+      return { valid: false, error: 'posted must be a boolean' };
+    }
+    feedback.posted = input.posted;
+  }
+
+  if (Object.keys(feedback).length === 0) {
+    return { valid: false, error: 'Provide at least one of rating, final_text or posted' };
+  }
+
+  return { valid: true, feedback };
+}
+
+function normalizeText(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+// Whether the final text differs from every generated text (null when nothing to compare with)
+function isEditedText(finalText, generatedTexts) {
+  const texts = generatedTexts.filter(Boolean);
+  if (!finalText || texts.length === 0) {
+    return null;
+  }
+
+  const final = normalizeText(finalText);
+  return !texts.some(text => normalizeText(text) === final);
+}
+
+// Feedback totals per persona and platform between two dates
+async function getFeedbackReport(userId, { since, until }) {
+  const { data: rows, error } = await supabaseAdmin
+    .rpc('get_feedback_report', {
+      p_user_id: userId,
+      p_since: since.toISOString(),
+      p_until: until.toISOString()
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  return rows || [];
+}
+
+module.exports = {
+  FEEDBACK_CONFIG,
+  FEEDBACK_RATINGS,
+  FEEDBACK_COLUMNS,
+  validateFeedbackInput,
+  isEditedText,
+  getFeedbackReport
+};
@@ -0,0 +1,64 @@
+const { supabaseAdmin } = require('./supabase');
+
+// Stored generation context
+// The full response and text inputs of a generation, keyed by its api_usage row, so later
+// requests (e.g. /api/refine) can build on it without the client resending the screenshot
+
+const GENERATION_CONFIG = {
+  CONTEXT_TTL_DAYS: parseInt(process.env.GENERATION_CONTEXT_TTL_DAYS || '7')
+};
+
+// Post and thread text as one block (null when the generation was image-only)
+function joinPostText(...parts) {
+  return parts.filter(Boolean).join('\n\n') || null;
+}
+
+// Store the context of a logged generation; failures are logged and never fail the request
+async function storeGenerationContext(userId, usageId, context) {
+  if (!usageId) return;
+
+  const expiresAt = new Date(Date.now() + GENERATION_CONFIG.CONTEXT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('generation_contexts')
+    .insert([{
+      usage_id: usageId,
+      user_id: userId,
+      response: context.response,
+      candidates: context.candidates || null,
+      context: context.context || null,
+      post_text: context.postText || null,
+      system_prompt: context.systemPrompt || null,
+      platform: context.platform || null,
+      persona_id: context.personaId || null,
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) {
+    console.error('[Generations] Store error:', error);
+  }
+}
+
+// A user's stored generation, or null when it does not exist or has expired
+async function getGenerationContext(userId, usageId) {
+  const { data: generation, error } = await supabaseAdmin
+    .from('generation_contexts')
+    .select('usage_id, response, candidates, context, post_text, system_prompt, platform, persona_id, created_at')
+    .eq('usage_id', usageId)
+    .eq('user_id', userId)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return generation;
+}
+
+module.exports = {
+  GENERATION_CONFIG,
+  joinPostText,
+  storeGenerationContext,
+  getGenerationContext
+};
@@ -0,0 +1,239 @@
+const { sanitizeInput } = require('./security');
+const { CORE_RULES } = require('./prompts');
+
+// Output guard
+// Generated replies are posted publicly under the user's name, so every reply is checked before
+// it is returned: toxicity, unverifiable claims, competitor mentions, the user's blocked words,
+// leaked system prompt text and "As an AI" phrasing. A reply that fails a check is regenerated
+// once with a note on what to avoid; if the new reply still fails, it is returned with `warnings`
+
+const GUARD_CONFIG = {
+  ENABLED: process.env.OUTPUT_GUARD_ENABLED !== 'false',
+  // Competitor names checked for every user (comma-separated); requests can add their own
+  COMPETITORS: (process.env.GUARD_COMPETITORS || '').split(',').map(name => name.trim()).filter(Boolean),
+  MAX_TERMS: 50,
+  TERM_LENGTH: 100,
+  // A run of this many words copied from the system prompt counts as a leak
+  LEAK_WORDS: 8,
+  // A regeneration is only attempted if at least this much of the time budget is left
+  MIN_REGENERATE_MS: 2000
+};
+
+const TOXIC_PATTERNS = [
+  /\b(idiot|idiots|moron|morons|imbecile|loser|losers|pathetic|worthless|disgusting)\b/i,
+  /\b(stupid|dumb)(est)?\b/i,
+  /\b(fuck\w*|shit\w*|bitch\w*|asshole\w*|bastard\w*|dickhead\w*|retard\w*|crap)\b/i,
+  /\b(shut up|hate you|go to hell|kill yourself|nobody cares)\b/i
+];
+
+const CLAIM_PATTERNS = [
+  /\b(studies|research|science|data|experts|statistics) (show|shows|prove|proves|proved|confirm|confirms)\b/i,
+  /\b(scientifically|clinically|proven) (proven|tested|to)\b/i,
+  /\baccording to (a |the )?(recent |new )?(study|studies|survey|report|research|experts)\b/i,
+  /\b\d+(\.\d+)?\s?% of\b/i,
+  /\b(guaranteed?|risk-free|never fails|always works)\b/i,
+  /\b(the )?(#1|number one|best) in the (world|industry|market)\b/i
+];
+
+const AI_DISCLOSURE_PATTERNS = [
+  /\bas an ai\b/i,
+  /\bas a (large )?language model\b/i,
+  /\bI('m| am) (just )?an? (ai|artificial intelligence|language model)\b/i,
+  /\bI (don't|do not) have (personal )?(opinions|feelings|experiences)\b/i
+];
+
+const PROMPT_LEAK_PATTERNS = [
+  /\b(my|the) (system prompt|system message|instructions (say|tell|are))\b/i,
+  /\bI('ve| have) been (instructed|told|programmed) to\b/i
+];
+
+// What each check means, also used to tell the model what to avoid when regenerating
+const GUARD_CHECKS = {
+  toxicity: 'The reply contains insulting, hostile or profane language',
+  unverifiable_claim: 'The reply makes a claim that cannot be verified (statistics, studies, guarantees, superlatives)',
+  competitor_mention: 'The reply mentions a competitor',
+  blocked_word: 'The reply uses a word or phrase the user has blocked',
+  prompt_leak: 'The reply reveals or quotes its instructions',
+  ai_disclosure: 'The reply talks about being an AI or a language model'
+};
+
+// Validate the optional blocked_words / competitors lists of a request
+function validateGuardTerms(body) {
+  const terms = {};
+
+  for (const field of ['blocked_words', 'competitors']) {
+    const value = body?.[field];
+    if (value === undefined || value === null) {
+      terms[field] = [];
+      continue;
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { valid: false, error: `${field} must be an array of strings` };
+    }
+    if (value.length > GUARD_CONFIG.MAX_TERMS) {
+      return { valid: false, error: `${field} can have at most ${GUARD_CONFIG.MAX_TERMS} entries` };
+    }
+    terms[field] = value
+      .map(item => sanitizeInput(item).slice(0, GUARD_CONFIG.TERM_LENGTH))
+      .filter(Boolean);
+  }
+
+  return { valid: true, terms };
+}
+
+// Guard settings for a request: the user's terms, the persona's banned phrases and the
+// instructions that must not leak (the core rules and the user's prompt)
+function buildGuardOptions({ terms, persona, systemPrompt }) {
+  return {
+    blockedWords: [...(terms?.blocked_words || []), ...(persona?.banned_phrases || [])],
+    competitors: [...GUARD_CONFIG.COMPETITORS, ...(terms?.competitors || [])],
+    systemPrompt: `${CORE_RULES}\n${systemPrompt || ''}`
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// First term found as a whole word or phrase (case-insensitive)
+function findTerm(text, terms) {
+  return terms.find(term =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'iu').test(text)
+  ) || null;
+}
+
+function findPattern(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function toWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+// Whether the reply repeats LEAK_WORDS consecutive words of the system prompt
+function quotesPrompt(text, systemPrompt) {
+  const size = GUARD_CONFIG.LEAK_WORDS;
+  const promptWords = toWords(systemPrompt || '');
+  if (promptWords.length < size) return false;
+
+  const runs = new Set();
+  for (let i = 0; i + size <= promptWords.length; i++) {
+    runs.add(promptWords.slice(i, i + size).join(' '));
+  }
+
+  const words = toWords(text);
+  for (let i = 0; i + size <= words.length; i++) {
+    if (runs.has(words.slice(i, i + size).join(' '))) return true;
+  }
+  return false;
+}
+
+// Run every check on one reply. Returns [{ code, message, match }] (empty when the reply is clean);
+// prompt leaks never echo the matched text
+function checkOutput(text, { blockedWords = [], competitors = [], systemPrompt = null } = {}) {
+  const found = [
+    ['toxicity', findPattern(text, TOXIC_PATTERNS)],
+    ['unverifiable_claim', findPattern(text, CLAIM_PATTERNS)],
+    ['competitor_mention', findTerm(text, competitors)],
+    ['blocked_word', findTerm(text, blockedWords)],
+    ['prompt_leak', findPattern(text, PROMPT_LEAK_PATTERNS) || quotesPrompt(text, systemPrompt)],
+    ['ai_disclosure', findPattern(text, AI_DISCLOSURE_PATTERNS)]
+  ];
+
+  return found
+    .filter(([, match]) => match)
+    .map(([code, match]) => ({
+      code,
+      message: GUARD_CHECKS[code],
+      match: code === 'prompt_leak' ? null : match
+    }));
+}
+
+// Check a reply and its candidates; candidate warnings carry the candidate's rank
+function checkReplies(output, options) {
+  if (output.candidates) {
+    return output.candidates.flatMap(candidate =>
+      checkOutput(candidate.response, options).map(warning => ({ ...warning, candidate: candidate.rank }))
+    );
+  }
+  return checkOutput(output.text, options);
+}
+
+// Appended to the system prompt when a reply is regenerated
+function buildGuardCorrection(warnings) {
+  const problems = [...new Set(warnings.map(warning => warning.code))];
+  const lines = ['\nA previous reply to this post was rejected. Write a new one that avoids these problems:'];
+  problems.forEach(code => lines.push(`- ${GUARD_CHECKS[code]}`));
+  if (problems.includes('blocked_word') || problems.includes('competitor_mention')) {
+    const terms = [...new Set(warnings.filter(warning => warning.match && ['blocked_word', 'competitor_mention'].includes(warning.code))
+      .map(warning => warning.match))];
+    lines.push(`- Do not use: ${terms.map(term => `"${term}"`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Generate a reply and check it; when it fails a check and at least MIN_REGENERATE_MS of the
+// budget is left, generate once more with the correction in the system prompt.
+// generate(correction) resolves to { text, candidates?, ... }; a failed regeneration keeps the
+// first reply. Resolves to { output, attempts, warnings, regenerated }
+async function generateGuarded(generate, options, { deadline, logPrefix }) {
+  const first = await generate(null);
+  if (!GUARD_CONFIG.ENABLED) {
+    return { output: first, attempts: [first], warnings: [], regenerated: false };
+  }
+
+  const warnings = checkReplies(first, options);
+  if (warnings.length === 0 || deadline - Date.now() < GUARD_CONFIG.MIN_REGENERATE_MS) {
+    return { output: first, attempts: [first], warnings, regenerated: false };
+  }
+
+  console.warn(`${logPrefix} Output guard flagged reply, regenerating:`, warnings.map(warning => warning.code));
+
+  let second;
+  try {
+    second = await generate(buildGuardCorrection(warnings));
+  } catch (error) {
+    console.error(`${logPrefix} Regeneration failed, keeping first reply:`, error.message);
+    return { output: first, attempts: [first], warnings, regenerated: false };
+  }
+
+  // Keep the regenerated reply unless it has more problems than the first one
+  const secondWarnings = checkReplies(second, options);
+  const keepSecond = secondWarnings.length <= warnings.length;
+  return {
+    output: keepSecond ? second : first,
+    attempts: [first, second],
+    warnings: keepSecond ? secondWarnings : warnings,
+    regenerated: true
+  };
+}
+
+// Add the correction to a model request
+function applyGuardCorrection(request, correction) {
+  return correction ? { ...request, system: request.system + '\n' + correction } : request;
+}
+
+// Token usage of every attempt together
+function sumUsage(completions) {
+  return completions.reduce((total, completion) => ({
+    inputTokens: total.inputTokens + (completion.usage?.inputTokens || 0),
+    outputTokens: total.outputTokens + (completion.usage?.outputTokens || 0),
+    totalTokens: total.totalTokens + (completion.usage?.totalTokens || 0)
+  }), { inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+}
+
+module.exports = {
+  GUARD_CONFIG,
+  GUARD_CHECKS,
+  validateGuardTerms,
+  buildGuardOptions,
+  checkOutput,
+  checkReplies,
+  generateGuarded,
+  applyGuardCorrection,
+  sumUsage
+};
@@ -0,0 +1,203 @@
+const { supabaseAdmin } = require('./supabase');
+const { isValidUUID, sanitizeInput } = require('./security');
+const { isSupportedPlatform } = require('./platforms');
+
+// Generation history
+// A user's successful generations from api_usage, newest first. Pages are linked with an
+// opaque cursor (the created_at and id of the last entry), so new generations never shift pages
+
+const HISTORY_CONFIG = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  SEARCH_LENGTH: 200
+};
+
+const HISTORY_COLUMNS = [
+  'id',
+  'created_at',
+  'context',
+  'ai_response',
+  'platform',
+  'persona_id',
+  'input_mode',
+  'candidate_count',
+  'cached',
+  'credits_used',
+  'provider',
+  'model',
+  'input_tokens',
+  'output_tokens',
+  'parent_usage_id',
+  'refine_instruction',
+  'generation_contexts(response, expires_at)',
+  'generation_feedback(rating, edited, posted)'
+].join(', ');
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ c: entry.created_at, i: entry.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return !isNaN(Date.parse(c)) && isValidUUID(i) ? { createdAt: c, id: i } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Validate the filters of a history request (query string)
+function validateHistoryQuery(query) {
+  const input = query || {};
+  const filters = {
+    limit: HISTORY_CONFIG.DEFAULT_LIMIT,
+    cursor: null,
+    since: null,
+    until: null,
+    platform: null,
+    personaId: null,
+    search: null
+  };
+
+  if (input.limit !== undefined) {
+    const limit = Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_CONFIG.MAX_LIMIT) {
+      return { valid: false, error: `limit must be an integer between 1 and ${HISTORY_CONFIG.MAX_LIMIT}` };
+    }
+    filters.limit = limit;
+  }
+
+  if (input.cursor !== undefined) {
+    filters.cursor = decodeCursor(input.cursor);
+    if (!filters.cursor) {
+      return { valid: false, error: 'Invalid cursor' };
+    }
+  }
+
+  for (const field of ['since', 'until']) {
+    if (input[field] !== undefined) {
+      filters[field] = parseDate(input[field]);
+      if (!filters[field]) {
+        return { valid: false, error: `${field} must be an ISO 8601 date` };
+      }
+    }
+  }
+
+  if (filters.since && filters.until && filters.since >= filters.until) {
+    return { valid: false, error: 'since must be before until' };
+  }
+
+  if (input.platform !== undefined) {
+    if (!isSupportedPlatform(input.platform)) {
+      return { valid: false, error: 'Unsupported platform' };
+    }
+    filters.platform = input.platform;
+  }
+
+  if (input.persona_id !== undefined) {
+    if (!isValidUUID(input.persona_id)) {
+      return { valid: false, error: 'Invalid persona_id' };
+    }
+    filters.personaId = input.persona_id;
+  }
+
+  if (input.q !== undefined) {
+    filters.search = sanitizeInput(input.q, HISTORY_CONFIG.SEARCH_LENGTH) || null;
+  }
+
+  return { valid: true, filters };
+}
+
+// The full response while the generation context is kept, otherwise the stored preview
+function toHistoryEntry(row) {
+  const generation = row.generation_contexts;
+  const refinable = !!generation && new Date(generation.expires_at) > new Date();
+
+  return {
+    generation_id: row.id,
+    created_at: row.created_at,
+    context: row.context,
+    response: refinable ? generation.response : row.ai_response,
+    platform: row.platform,
+    persona_id: row.persona_id,
+    input_mode: row.input_mode,
+    candidate_count: row.candidate_count,
+    cached: row.cached,
+    credits_used: row.credits_used,
+    provider: row.provider,
+    model: row.model,
+    input_tokens: row.input_tokens,
+    output_tokens: row.output_tokens,
+    parent_generation_id: row.parent_usage_id,
+    refine_instruction: row.refine_instruction,
+    refinable,
+    feedback: row.generation_feedback || null
+  };
+}
+
+// One page of a user's history; next_cursor is null on the last page
+async function listHistory(userId, filters) {
+  let query = supabaseAdmin
+    .from('api_usage')
+    .select(HISTORY_COLUMNS)
+    .eq('user_id', userId)
+    .eq('status', 'success')
+    .is('deleted_at', null);
+
+  if (filters.since) query = query.gte('created_at', filters.since.toISOString());
+  if (filters.until) query = query.lt('created_at', filters.until.toISOString());
+  if (filters.platform) query = query.eq('platform', filters.platform);
+  if (filters.personaId) query = query.eq('persona_id', filters.personaId);
+
+  // search_vector covers the full text stored in generation_contexts, not only the previews
+  if (filters.search) {
+    query = query.textSearch('search_vector', filters.search, { type: 'websearch', config: 'simple' });
+  }
+
+  // Entries strictly after the cursor in (created_at, id) order
+  if (filters.cursor) {
+    const { createdAt, id } = filters.cursor;
+    query = query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${id})`);
+  }
+
+  // One extra row tells whether another page exists
+  const { data: rows, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(filters.limit + 1);
+
+  if (error) {
+    throw error;
+  }
+
+  const page = (rows || []).slice(0, filters.limit);
+
+  return {
+    entries: page.map(toHistoryEntry),
+    nextCursor: (rows || []).length > filters.limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+// Hide an entry and erase its text; returns false when the user has no such entry
+async function deleteHistoryEntry(userId, usageId) {
+  const { data: deleted, error } = await supabaseAdmin
+    .rpc('delete_usage_entry', { p_user_id: userId, p_usage_id: usageId });
+
+  if (error) {
+    throw error;
+  }
+
+  return !!deleted;
+}
+
+module.exports = {
+  HISTORY_CONFIG,
+  validateHistoryQuery,
+  listHistory,
+  deleteHistoryEntry
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Server-side image normalization
+// Screenshots are decoded, auto-rotated, stripped of EXIF/metadata, cropped to their content,
+// downscaled and re-encoded before they are sent to the model
+
+const IMAGE_CONFIG = {
+  MAX_DIMENSION: parseInt(process.env.IMAGE_MAX_DIMENSION || '1280'),
+  OUTPUT_FORMAT: process.env.IMAGE_OUTPUT_FORMAT === 'webp' ? 'webp' : 'jpeg',
+  QUALITY: parseInt(process.env.IMAGE_QUALITY || '80'),
+  // How far a margin pixel may differ from the corner colour and still be cropped
+  TRIM_THRESHOLD: 10
+};
+
+function decodeDataUrl(imageDataUrl) {
+  return Buffer.from(imageDataUrl.split(',')[1], 'base64');
+}
+
+// Auto-orient, crop margins, downscale and re-encode (sharp drops metadata unless asked to keep it)
+function buildPipeline(input, { trim }) {
+  let pipeline = sharp(input, { failOn: 'error' }).rotate();
+
+  if (trim) {
+    pipeline = pipeline.trim({ threshold: IMAGE_CONFIG.TRIM_THRESHOLD });
+  }
+
+  pipeline = pipeline.resize({
+    width: IMAGE_CONFIG.MAX_DIMENSION,
+    height: IMAGE_CONFIG.MAX_DIMENSION,
+    fit: 'inside',
+    withoutEnlargement: true
+  });
+
+  if (IMAGE_CONFIG.OUTPUT_FORMAT === 'webp') {
+    return pipeline.webp({ quality: IMAGE_CONFIG.QUALITY });
+  }
+
+  // JPEG has no alpha channel, so transparent areas become white
+  return pipeline
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: IMAGE_CONFIG.QUALITY, mozjpeg: true });
+}
+
+// Normalize a validated data URL; returns the new data URL, a content hash of the
+// processed image and original vs. processed metadata
+async function normalizeImage(imageDataUrl) {
+  const input = decodeDataUrl(imageDataUrl);
+  const original = await sharp(input, { failOn: 'error' }).metadata();
+
+  let output;
+  try {
+    output = await buildPipeline(input, { trim: true }).toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    // Trimming fails on images that are a single flat colour; fall back to an untrimmed pass
+    output = await buildPipeline(input, { trim: false }).toBuffer({ resolveWithObject: true });
+  }
+
+  const format = IMAGE_CONFIG.OUTPUT_FORMAT;
+
+  return {
+    dataUrl: `data:image/${format};base64,${output.data.toString('base64')}`,
+    hash: crypto.createHash('sha256').update(output.data).digest('hex'),
+    metadata: {
+      original_bytes: input.length,
+      processed_bytes: output.data.length,
+      original_width: original.width,
+      original_height: original.height,
+      width: output.info.width,
+      height: output.info.height,
+      format
+    }
+  };
+}
+
+module.exports = {
+  IMAGE_CONFIG,
+  normalizeImage
+};
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { supabaseAdmin } = require('./supabase');
+const { resolveProviderName, classifyProviderError } = require('./llm');
+const { resolveModelRoute, completeWithFallback } = require('./models');
+const { enforceLengthLimit } = require('./platforms');
+const { getPersona } = require('./personas');
+const { IMAGE_NOTICE, DEFAULT_SYSTEM_PROMPT, buildSystemPrompt, buildTaskText } = require('./prompts');
+const { renderThreadText } = require('./post-input');
+const { normalizeImage } = require('./images');
+const { reserveCredits, consumeCredits, releaseCredits } = require('./credits');
+const { joinPostText, storeGenerationContext } = require('./generations');
+const { quoteGeneration, priceUsage } = require('./pricing');
+const { buildGuardOptions, generateGuarded, applyGuardCorrection, sumUsage } = require('./guard');
+
+// Asynchronous analysis jobs
+// POST /api/jobs stores the images as job items; the worker (job-worker.js) claims items,
+// analyzes them one at a time, charges each completed item for the model usage that
+// produced it and, once every item is finished, notifies the job's callback URL
+
+const JOB_CONFIG = {
+  MAX_ITEMS: parseInt(process.env.JOB_MAX_ITEMS || '50'),
+  CLAIM_BATCH_SIZE: parseInt(process.env.JOB_CLAIM_BATCH_SIZE || '5'),
+  // A claimed item is handed to another worker if not finished within this time
+  LOCK_SECONDS: 120,
+  MAX_ATTEMPTS: 3,
+  ITEM_TIMEOUT_MS: 60000,
+  POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000'),
+  CALLBACK_TIMEOUT_MS: 5000,
+  DEFAULT_QUALITY: 'balanced'
+};
+
+const JOB_COLUMNS = 'id, status, options, callback_url, callback_status, total_items, completed_items, failed_items, credits_used, created_at, updated_at, completed_at';
+const JOB_ITEM_COLUMNS = 'position, status, generation_id:usage_id, response, truncated, guard_warnings, error_code, tokens_used, image_metadata, completed_at';
+
+// Addresses a callback may never reach: loopback, private, carrier-grade NAT, link-local,
+// IPv6 unique-local, multicast and reserved ranges (IPv4-mapped IPv6 addresses are matched too)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a callback host to { address, family }, or null when it (or any address its name
+// resolves to) is not public. DNS errors are thrown
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return isPublicAddress(host) ? { address: host, family: net.isIP(host) } : null;
+  }
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+    return null;
+  }
+  return addresses[0];
+}
+
+// Callbacks must go to a public HTTPS endpoint (plain HTTP is allowed in development)
+function isValidCallbackUrl(value) {
+  if (typeof value !== 'string' || value.length > 500) return false;
+
+  try {
+    const url = new URL(value);
+    if (url.username || url.password) return false;
+    return url.protocol === 'https:' ||
+      (process.env.NODE_ENV === 'development' && url.protocol === 'http:');
+  } catch (error) {
+    return false;
+  }
+}
+
+// A valid callback URL whose host currently resolves to public addresses only. Checked again
+// when the callback is sent, since DNS can change in between
+async function isAllowedCallbackUrl(value) {
+  if (!isValidCallbackUrl(value)) return false;
+
+  try {
+    return !!(await resolvePublicAddress(new URL(value).hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Store a job and one queued item per image
+async function createJob(userId, { images, options, callbackUrl }) {
+  const { data: job, error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .insert([{
+      user_id: userId,
+      options,
+      callback_url: callbackUrl || null,
+      total_items: images.length
+    }])
+    .select(JOB_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { error: itemsError } = await supabaseAdmin
+    .from('analysis_job_items')
+    .insert(images.map((image, index) => ({
+      job_id: job.id,
+      user_id: userId,
+      position: index,
+      image_data: image
+    })));
+
+  if (itemsError) {
+    await supabaseAdmin.from('analysis_jobs').delete().eq('id', job.id);
+    throw itemsError;
+  }
+
+  return job;
+}
+
+// A user's job with its items in submission order, or null when it does not exist
+async function getJob(userId, jobId) {
+  const { data: job, error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .select(JOB_COLUMNS)
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!job) {
+    return null;
+  }
+
+  const { data: items, error: itemsError } = await supabaseAdmin
+    .from('analysis_job_items')
+    .select(JOB_ITEM_COLUMNS)
+    .eq('job_id', jobId)
+    .order('position', { ascending: true });
+
+  if (itemsError) {
+    throw itemsError;
+  }
+
+  return { ...job, items: items || [] };
+}
+
+// Map a processing error to a stable error code and whether the item may be retried
+function classifyItemError(error) {
+  if (error.code === 'INVALID_IMAGE') return { errorCode: 'invalid_image', retryable: false };
+  if (error.code === 'INSUFFICIENT_CREDITS') return { errorCode: 'insufficient_credits', retryable: false };
+  if (error.code === 'PERSONA_NOT_FOUND') return { errorCode: 'persona_not_found', retryable: false };
+  return classifyProviderError(error);
+}
+
+function itemError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Analyze one claimed item and charge it; throws on failure
+async function analyzeItem(job, item) {
+  const { options } = job;
+
+  let image;
+  try {
+    image = await normalizeImage(item.image_data);
+  } catch (error) {
+    throw itemError('INVALID_IMAGE', 'Invalid image data');
+  }
+
+  // Same persona rules as the synchronous endpoints
+  let persona = null;
+  if (options.persona_id || !options.system_prompt) {
+    persona = await getPersona(job.user_id, options.persona_id);
+    if (options.persona_id && !persona) {
+      throw itemError('PERSONA_NOT_FOUND', 'Persona not found');
+    }
+  }
+
+  const { data: profile } = await supabaseAdmin
+    .from('users')
+    .select('llm_provider, tier')
+    .eq('id', job.user_id)
+    .single();
+
+  const providerName = resolveProviderName({
+    requestedProvider: options.provider,
+    userProvider: profile?.llm_provider
+  });
+
+  // The tier is checked per item, so a downgraded plan applies to the rest of the job
+  const modelRoute = resolveModelRoute({
+    providerName,
+    quality: options.quality || JOB_CONFIG.DEFAULT_QUALITY,
+    tier: profile?.tier
+  });
+
+  const systemContent = buildSystemPrompt({
+    systemPrompt: options.system_prompt,
+    persona,
+    platform: options.platform
+  });
+  const promptText = buildTaskText({
+    context: options.context,
+    hasImage: true,
+    suffix: ` (Image ${item.position + 1} of ${job.total_items})`
+  });
+  const threadText = options.thread ? renderThreadText(options.thread) : null;
+  const guardOptions = buildGuardOptions({
+    terms: { blocked_words: options.blocked_words, competitors: options.competitors },
+    persona,
+    systemPrompt: options.system_prompt || DEFAULT_SYSTEM_PROMPT
+  });
+
+  // The item is never charged more than the quote for its primary model
+  const quote = quoteGeneration({
+    entry: modelRoute.primary,
+    texts: [systemContent, promptText, threadText],
+    images: [image.metadata],
+    maxTokens: modelRoute.primary.maxTokens
+  });
+
+  // Reserve the quote before calling the model, like the synchronous endpoints; the hold lasts as
+  // long as the item's lock so a slow item cannot outlive it
+  let creditHold = await reserveCredits(job.user_id, quote.credits, '[Jobs]', JOB_CONFIG.LOCK_SECONDS);
+  if (!creditHold.success) {
+    if (creditHold.status === 402) {
+      throw itemError('INSUFFICIENT_CREDITS', 'Insufficient credits');
+    }
+    throw new Error(creditHold.error);
+  }
+
+  try {
+    // The output guard may regenerate the reply once within the item's time budget
+    const deadline = Date.now() + JOB_CONFIG.ITEM_TIMEOUT_MS;
+    const guarded = await generateGuarded(async correction => {
+      const attempt = await completeWithFallback(modelRoute, modelEntry => applyGuardCorrection({
+        system: systemContent,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: promptText },
+              ...(threadText ? [{ type: 'text', text: threadText }] : []),
+              { type: 'text', text: IMAGE_NOTICE },
+              {
+                type: 'image',
+                dataUrl: image.dataUrl,
+                detail: modelEntry.imageDetail
+              }
+            ]
+          }
+        ],
+        maxTokens: modelEntry.maxTokens,
+        temperature: 0.7,
+        userId: job.user_id // For provider abuse monitoring
+      }, correction), { timeoutMs: deadline - Date.now(), logPrefix: '[Jobs]' });
+
+      const limited = enforceLengthLimit(attempt.completion.text, options.platform);
+      return { ...attempt, text: limited.text, truncated: limited.truncated };
+    }, guardOptions, { deadline, logPrefix: '[Jobs]' });
+
+    const { entry, fellBack, text, truncated } = guarded.output;
+    const completion = {
+      ...guarded.output.completion,
+      usage: sumUsage(guarded.attempts.map(attempt => attempt.completion))
+    };
+    const guardWarnings = [...new Set(guarded.warnings.map(warning => warning.code))];
+
+    const pricing = priceUsage({ entry, usage: completion.usage, maxCredits: quote.credits });
+
+    const consumption = await consumeCredits({
+      userId: job.user_id,
+      holdId: creditHold.holdId,
+      usageRows: [{
+        context: options.context ? options.context.substring(0, 100) : null,
+        ai_response: text.substring(0, 200),
+        credits_used: pricing.credits,
+        platform: options.platform || null,
+        persona_id: persona?.id || null,
+        quality: entry.quality,
+        fallback_used: fellBack,
+        cost_usd: pricing.costUsd,
+        pricing: pricing.breakdown,
+        guard_warnings: guardWarnings,
+        regenerated: guarded.regenerated,
+        provider: completion.provider,
+        model: completion.model,
+        input_tokens: completion.usage.inputTokens,
+        output_tokens: completion.usage.outputTokens,
+        api_key_used: false
+      }]
+    }, '[Jobs]');
+
+    if (!consumption.success) {
+      if (consumption.status === 402) {
+        throw itemError('INSUFFICIENT_CREDITS', 'Insufficient credits');
+      }
+      throw new Error(consumption.error);
+    }
+    creditHold = null;
+
+    await storeGenerationContext(job.user_id, consumption.usageIds[0], {
+      response: text,
+      context: options.context,
+      postText: joinPostText(options.thread && renderThreadText(options.thread)),
+      systemPrompt: options.system_prompt,
+      platform: options.platform,
+      personaId: persona?.id || null
+    });
+
+    return {
+      response: text,
+      truncated,
+      guardWarnings,
+      tokensUsed: completion.usage.totalTokens,
+      usageId: consumption.usageIds[0],
+      imageMetadata: image.metadata
+    };
+  } catch (error) {
+    // Every failure returns the hold, including the ones the worker retries
+    if (creditHold) {
+      await releaseCredits(creditHold.holdId, 'error', '[Jobs]');
+    }
+    throw error;
+  }
+}
+
+// Process one claimed item and record its outcome; returns the refreshed job
+async function processJobItem(job, item) {
+  let update;
+
+  try {
+    const result = await analyzeItem(job, item);
+    update = {
+      status: 'completed',
+      response: result.response,
+      truncated: result.truncated,
+      guard_warnings: result.guardWarnings,
+      tokens_used: result.tokensUsed,
+      usage_id: result.usageId,
+      image_metadata: result.imageMetadata,
+      error_code: null
+    };
+  } catch (error) {
+    const { errorCode, retryable } = classifyItemError(error);
+    console.error('[Jobs] Item failed:', { itemId: item.id, errorCode, message: error.message });
+
+    // Retryable failures go back to the queue until the item runs out of attempts
+    update = retryable && item.attempts < JOB_CONFIG.MAX_ATTEMPTS
+      ? { status: 'queued', error_code: errorCode, locked_at: null }
+      : { status: 'failed', error_code: errorCode };
+  }
+
+  if (update.status !== 'queued') {
+    update.image_data = null;
+    update.completed_at = new Date().toISOString();
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('analysis_job_items')
+    .update(update)
+    .eq('id', item.id);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  const { data: refreshedJob, error: refreshError } = await supabaseAdmin
+    .rpc('refresh_analysis_job', { p_job_id: job.id });
+
+  if (refreshError) {
+    throw refreshError;
+  }
+
+  return refreshedJob;
+}
+
+// POST the job summary to its callback URL, signed with JOB_CALLBACK_SECRET when set
+async function sendJobCallback(job) {
+  const body = JSON.stringify({
+    job_id: job.id,
+    status: job.status,
+    total_items: job.total_items,
+    completed_items: job.completed_items,
+    failed_items: job.failed_items,
+    credits_used: job.credits_used,
+    completed_at: job.completed_at
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.JOB_CALLBACK_SECRET) {
+    headers['X-Job-Signature'] = 'sha256=' + crypto
+      .createHmac('sha256', process.env.JOB_CALLBACK_SECRET)
+      .update(body)
+      .digest('hex');
+  }
+
+  // Only ever connect to the public address checked here (redirects are not followed)
+  let callbackStatus;
+  try {
+    const url = new URL(job.callback_url);
+    const target = isValidCallbackUrl(job.callback_url) ? await resolvePublicAddress(url.hostname) : null;
+    if (!target) {
+      callbackStatus = 'failed:blocked';
+    } else {
+      const status = await postCallback(url, target, headers, body);
+      callbackStatus = status >= 200 && status < 300 ? 'delivered' : `failed:${status}`;
+    }
+  } catch (error) {
+    callbackStatus = 'failed:network';
+  }
+
+  console.log('[Jobs] Callback', callbackStatus, 'for job:', job.id);
+
+  await supabaseAdmin
+    .from('analysis_jobs')
+    .update({ callback_status: callbackStatus })
+    .eq('id', job.id);
+}
+
+// POST to the callback URL, connecting to the pre-resolved address; resolves to the status code
+function postCallback(url, target, headers, body) {
+  const client = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: JOB_CONFIG.CALLBACK_TIMEOUT_MS,
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [target])
+        : callback(null, target.address, target.family))
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Callback timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Claim and process one round of items; returns how many items were processed
+async function runWorkerOnce() {
+  const { data: items, error } = await supabaseAdmin
+    .rpc('claim_analysis_job_items', {
+      p_limit: JOB_CONFIG.CLAIM_BATCH_SIZE,
+      p_lock_seconds: JOB_CONFIG.LOCK_SECONDS,
+      p_max_attempts: JOB_CONFIG.MAX_ATTEMPTS
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  const jobs = new Map();
+
+  for (const item of items || []) {
+    if (!jobs.has(item.job_id)) {
+      const { data: job, error: jobError } = await supabaseAdmin
+        .from('analysis_jobs')
+        .select('id, user_id, options, total_items')
+        .eq('id', item.job_id)
+        .single();
+
+      if (jobError) {
+        throw jobError;
+      }
+      jobs.set(item.job_id, job);
+    }
+
+    const refreshedJob = await processJobItem(jobs.get(item.job_id), item);
+
+    const finished = refreshedJob.status === 'completed' || refreshedJob.status === 'failed';
+    if (finished && refreshedJob.callback_url && !refreshedJob.callback_status) {
+      await sendJobCallback(refreshedJob);
+    }
+  }
+
+  return items?.length || 0;
+}
+
+module.exports = {
+  JOB_CONFIG,
+  isValidCallbackUrl,
+  isAllowedCallbackUrl,
+  createJob,
+  getJob,
+  processJobItem,
+  runWorkerOnce
+};
@@ -0,0 +1,196 @@
+// Reply language handling
+// Replies are written in the post's language unless the request or persona sets reply_language.
+// Text input is detected locally; the model also reports the post language it saw (the only
+// source for screenshots) as a [lang: xx] first line, or a "language" field in JSON output.
+// Codes are ISO 639-1
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  nl: 'Dutch',
+  sv: 'Swedish',
+  da: 'Danish',
+  no: 'Norwegian',
+  fi: 'Finnish',
+  pl: 'Polish',
+  cs: 'Czech',
+  ro: 'Romanian',
+  tr: 'Turkish',
+  el: 'Greek',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  id: 'Indonesian',
+  vi: 'Vietnamese',
+  th: 'Thai',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean'
+};
+
+// Requests and personas can also ask for the post's own language explicitly
+const AUTO_LANGUAGE = 'auto';
+
+// Common function words per language for text detection
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'this', 'that', 'with', 'for', 'you', 'not', 'have', 'was', 'what', 'it'],
+  es: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'en', 'por', 'para', 'con', 'una', 'del', 'muy', 'pero'],
+  pt: ['o', 'os', 'as', 'que', 'e', 'é', 'em', 'não', 'para', 'com', 'uma', 'do', 'da', 'muito', 'você'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'des', 'une', 'pour', 'dans', 'que', 'pas', 'avec', 'sur', 'vous', 'je'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'mit', 'ein', 'eine', 'für', 'auf', 'sie', 'wir', 'auch'],
+  it: ['il', 'lo', 'gli', 'che', 'e', 'è', 'di', 'per', 'non', 'una', 'con', 'sono', 'della', 'molto', 'questo'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'van', 'ik', 'dat', 'met', 'voor', 'zijn', 'op', 'ook', 'maar'],
+  sv: ['och', 'att', 'det', 'är', 'som', 'en', 'på', 'för', 'med', 'inte', 'jag', 'har', 'till', 'av', 'om'],
+  pl: ['i', 'w', 'nie', 'na', 'się', 'to', 'jest', 'że', 'z', 'do', 'jak', 'ale', 'co', 'tak', 'dla'],
+  tr: ['ve', 'bir', 'bu', 'için', 'de', 'da', 'çok', 'ile', 'ne', 'ama', 'gibi', 'daha', 'var', 'olan', 'değil'],
+  id: ['dan', 'yang', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'dari', 'akan', 'ada', 'saya', 'kita', 'juga', 'sangat']
+};
+
+// Scripts used by a single language (or one default language)
+const SCRIPTS = [
+  { code: 'ja', pattern: /[぀-ヿ]/g },
+  { code: 'ko', pattern: /[가-힯]/g },
+  { code: 'zh', pattern: /[一-鿿]/g },
+  { code: 'uk', pattern: /[ієїґ]/gi },
+  { code: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { code: 'el', pattern: /[Ͱ-Ͽ]/g },
+  { code: 'ar', pattern: /[؀-ۿ]/g },
+  { code: 'he', pattern: /[֐-׿]/g },
+  { code: 'hi', pattern: /[ऀ-ॿ]/g },
+  { code: 'th', pattern: /[฀-๿]/g }
+];
+
+const LANGUAGE_TAG = /^\s*\[lang:\s*([a-z]{2})\]\s*\n?/i;
+// Longest prefix a stream is held back while waiting for the tag
+const TAG_BUFFER_LENGTH = 16;
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// Validate a reply_language value: a supported code or 'auto'. Returns undefined when not set
+// and null when invalid
+function parseReplyLanguage(value) {
+  if (value === undefined || value === null) return undefined;
+  const code = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  return code === AUTO_LANGUAGE || (code && isSupportedLanguage(code)) ? code : null;
+}
+
+// The language to reply in: the request's if set, otherwise the persona's; null means the
+// post's own language
+function resolveReplyLanguage(requested, persona) {
+  const value = requested !== undefined ? requested : persona?.reply_language;
+  return value && value !== AUTO_LANGUAGE ? value : null;
+}
+
+// Best guess at the language of a text, or null when there is too little to go on
+function detectTextLanguage(texts) {
+  const text = texts.filter(Boolean).join('\n');
+  if (!text.trim()) return null;
+
+  // Non-Latin scripts decide on their own ('ja' before 'zh': Japanese also uses Han characters)
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  for (const { code, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0 && (count >= letters * 0.3 || code === 'ja' || code === 'uk')) return code;
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(STOPWORDS).map(([code, list]) => [
+    code,
+    words.filter(word => list.includes(word)).length
+  ]).sort((a, b) => b[1] - a[1]);
+
+  const [best, second] = scores;
+  if (best[1] < 2 || best[1] < second[1] * 1.5) return null;
+  return best[0];
+}
+
+// Language rules added to the system prompt. The model always reports the post language:
+// as the first line of a plain reply, or in the "language" field of JSON output
+function buildLanguageInstructions(replyLanguage, { json = false } = {}) {
+  const target = replyLanguage
+    ? `Write the reply in ${LANGUAGES[replyLanguage]}, whatever language the post is in`
+    : 'Write the reply in the same language as the post (English if it cannot be determined)';
+  const report = json
+    ? 'Add a "language" field to the JSON with the ISO 639-1 code of the language the post is written in'
+    : 'Start your response with the ISO 639-1 code of the language the post is written in, alone on the first line, like [lang: de]. The reply follows on the next line';
+
+  return `\nLanguage:\n- ${target}\n- ${report}`;
+}
+
+// Split the language the model reported off its output: { language, text }
+function extractLanguageTag(content, { json = false } = {}) {
+  if (json) {
+    try {
+      const code = String(JSON.parse(content).language || '').toLowerCase();
+      return { language: isSupportedLanguage(code) ? code : null, text: content };
+    } catch (error) {
+      return { language: null, text: content };
+    }
+  }
+
+  const match = content.match(LANGUAGE_TAG);
+  if (!match) return { language: null, text: content };
+
+  const code = match[1].toLowerCase();
+  return { language: isSupportedLanguage(code) ? code : null, text: content.slice(match[0].length) };
+}
+
+// Removes the tag from a stream of deltas: push(delta) returns the text to forward, holding back
+// the start of the stream until the tag is complete or clearly absent; flush() returns the rest
+function createLanguageTagStripper() {
+  let buffer = '';
+  let done = false;
+  const result = { language: null };
+
+  result.push = delta => {
+    if (done) return delta;
+    buffer += delta;
+
+    // Wait for the first character after the tag, so whitespace after it is stripped too
+    const match = buffer.match(LANGUAGE_TAG);
+    if (match) {
+      if (buffer.length === match[0].length && !match[0].endsWith('\n')) return '';
+      done = true;
+      const code = match[1].toLowerCase();
+      result.language = isSupportedLanguage(code) ? code : null;
+      return buffer.slice(match[0].length);
+    }
+
+    const mayBeTag = /^\s*(\[(l(a(n(g(:\s*([a-z]{1,2}\]?)?)?)?)?)?)?)?$/i.test(buffer);
+    if (!mayBeTag || buffer.length > TAG_BUFFER_LENGTH) {
+      done = true;
+      return buffer;
+    }
+    return '';
+  };
+
+  result.flush = () => {
+    if (done) return '';
+    done = true;
+    const { language, text } = extractLanguageTag(buffer);
+    result.language = language;
+    return text;
+  };
+
+  return result;
+}
+
+module.exports = {
+  LANGUAGES,
+  AUTO_LANGUAGE,
+  isSupportedLanguage,
+  parseReplyLanguage,
+  resolveReplyLanguage,
+  detectTextLanguage,
+  buildLanguageInstructions,
+  extractLanguageTag,
+  createLanguageTagStripper
+};
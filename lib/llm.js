@@ -0,0 +1,150 @@
+const {
+  createOpenAIProvider,
+  createAzureProvider,
+  createCompatibleProvider
+} = require('./providers/openai');
+const { createAnthropicProvider } = require('./providers/anthropic');
+
+// LLM provider layer
+// Handlers build requests in a common format and never talk to a vendor SDK directly:
+//   { model, system, messages: [{ role, content: string | [{ type: 'text', text } | { type: 'image', dataUrl, detail }] }],
+//     maxTokens, temperature, json, userId, signal }
+// complete() resolves to { text, usage: { inputTokens, outputTokens, totalTokens }, model, provider }
+// stream() yields { type: 'delta', text } and a final { type: 'usage', usage }
+
+const LLM_CONFIG = {
+  DEFAULT_PROVIDER: process.env.LLM_PROVIDER || 'openai'
+};
+
+// Supported providers with their system credentials and model per role
+// Roles: 'fast' (cheaper, quicker model) and 'best' (strongest model); the model catalog
+// (lib/models.js) maps quality levels onto them
+const PROVIDERS = {
+  openai: {
+    create: apiKey => createOpenAIProvider({
+      apiKey: apiKey || process.env.OPENAI_API_KEY
+    }),
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    models: {
+      fast: process.env.OPENAI_MODEL_FAST || 'gpt-4o-mini',
+      best: process.env.OPENAI_MODEL_BEST || 'gpt-4o'
+    }
+  },
+  anthropic: {
+    create: apiKey => createAnthropicProvider({
+      apiKey: apiKey || process.env.ANTHROPIC_API_KEY
+    }),
+    isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+    models: {
+      fast: process.env.ANTHROPIC_MODEL_FAST || 'claude-3-5-haiku-latest',
+      best: process.env.ANTHROPIC_MODEL_BEST || 'claude-sonnet-4-0'
+    }
+  },
+  azure: {
+    create: apiKey => createAzureProvider({
+      apiKey: apiKey || process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    }),
+    isConfigured: () => !!(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT),
+    // Azure addresses models by deployment name
+    models: {
+      fast: process.env.AZURE_OPENAI_DEPLOYMENT_FAST || 'gpt-4o-mini',
+      best: process.env.AZURE_OPENAI_DEPLOYMENT_BEST || 'gpt-4o'
+    }
+  },
+  compatible: {
+    create: apiKey => createCompatibleProvider({
+      apiKey: apiKey || process.env.LLM_COMPATIBLE_API_KEY,
+      baseURL: process.env.LLM_COMPATIBLE_BASE_URL
+    }),
+    isConfigured: () => !!process.env.LLM_COMPATIBLE_BASE_URL,
+    models: {
+      fast: process.env.LLM_COMPATIBLE_MODEL_FAST || 'llava',
+      best: process.env.LLM_COMPATIBLE_MODEL_BEST || process.env.LLM_COMPATIBLE_MODEL_FAST || 'llava'
+    }
+  }
+};
+
+// Vendors a user-supplied key can be sent to. Azure and compatible providers run on the
+// operator's endpoint or deployment, so they only ever use the system credentials
+const OWN_KEY_PROVIDERS = ['openai', 'anthropic'];
+
+// Providers built with system credentials are reused across requests
+const systemProviders = new Map();
+
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+function isSupportedProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function isOwnKeyProvider(name) {
+  return OWN_KEY_PROVIDERS.includes(name);
+}
+
+function isProviderConfigured(name) {
+  return isSupportedProvider(name) && PROVIDERS[name].isConfigured();
+}
+
+// Pick the provider for a request:
+// a user-supplied key uses the vendor named in the request (OpenAI by default, only
+// OWN_KEY_PROVIDERS), otherwise the user's assigned provider, falling back to the configured default
+function resolveProviderName({ userApiKey, requestedProvider, userProvider }) {
+  if (userApiKey) {
+    const name = requestedProvider || 'openai';
+    if (!isOwnKeyProvider(name)) {
+      throw new Error(`Own API keys are not supported for provider: ${name}`);
+    }
+    return name;
+  }
+
+  if (userProvider && isProviderConfigured(userProvider)) {
+    return userProvider;
+  }
+
+  return LLM_CONFIG.DEFAULT_PROVIDER;
+}
+
+// Get a provider instance (a fresh client when the user brings their own key)
+function getProvider(name, userApiKey) {
+  if (!isSupportedProvider(name)) {
+    throw new Error(`Unsupported LLM provider: ${name}`);
+  }
+
+  if (userApiKey) {
+    return PROVIDERS[name].create(userApiKey);
+  }
+
+  if (!systemProviders.has(name)) {
+    systemProviders.set(name, PROVIDERS[name].create());
+  }
+  return systemProviders.get(name);
+}
+
+function getModel(providerName, role) {
+  return PROVIDERS[providerName].models[role];
+}
+
+// Stable error code for a failed model call, and whether trying again may help
+function classifyProviderError(error) {
+  if (error.status === 429) return { errorCode: 'rate_limited', retryable: true };
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return { errorCode: 'timeout', retryable: true };
+  if (error.status === 401 || error.status === 403) return { errorCode: 'provider_auth', retryable: false };
+  return { errorCode: 'provider_error', retryable: true };
+}
+
+module.exports = {
+  LLM_CONFIG,
+  OWN_KEY_PROVIDERS,
+  listProviders,
+  isSupportedProvider,
+  isOwnKeyProvider,
+  isProviderConfigured,
+  resolveProviderName,
+  getProvider,
+  getModel,
+  classifyProviderError
+};
@@ -0,0 +1,160 @@
+const {
+  listProviders,
+  isProviderConfigured,
+  getProvider,
+  getModel,
+  classifyProviderError
+} = require('./llm');
+
+// Model catalog
+// Every provider offers three quality levels. A catalog entry fixes the model, output budget,
+// image detail, credit cost and the user tiers allowed to use it. Requests ask for a quality;
+// users whose tier does not include it get the best level they are allowed
+
+const QUALITY_LEVELS = ['fast', 'balanced', 'best'];
+
+const MODEL_CONFIG = {
+  // Provider tried with the same quality when the primary provider fails (unset: lower quality instead)
+  FALLBACK_PROVIDER: process.env.LLM_FALLBACK_PROVIDER || null,
+  // A fallback is only attempted if at least this much of the time budget is left
+  MIN_FALLBACK_MS: 2000
+};
+
+const ALL_TIERS = ['free', 'pro'];
+
+// Per-quality settings shared by all providers; role picks the provider's fast or best model
+const QUALITY_PROFILES = {
+  fast: {
+    role: 'fast',
+    maxTokens: 150,
+    imageDetail: 'low',
+    credits: parseInt(process.env.MODEL_FAST_CREDITS || '1'),
+    tiers: ALL_TIERS
+  },
+  balanced: {
+    role: 'fast',
+    maxTokens: 300,
+    imageDetail: 'high',
+    credits: parseInt(process.env.MODEL_BALANCED_CREDITS || '1'),
+    tiers: ALL_TIERS
+  },
+  best: {
+    role: 'best',
+    maxTokens: 300,
+    imageDetail: 'high',
+    credits: parseInt(process.env.MODEL_BEST_CREDITS || '2'),
+    tiers: ['pro']
+  }
+};
+
+// Catalog entries keyed by id ('<provider>:<quality>')
+const MODEL_CATALOG = Object.fromEntries(listProviders().flatMap(provider =>
+  QUALITY_LEVELS.map(quality => {
+    const { role, ...profile } = QUALITY_PROFILES[quality];
+    const id = `${provider}:${quality}`;
+    return [id, { id, provider, quality, model: getModel(provider, role), ...profile }];
+  })
+));
+
+function isValidQuality(quality) {
+  return QUALITY_LEVELS.includes(quality);
+}
+
+function getCatalogEntry(provider, quality) {
+  return MODEL_CATALOG[`${provider}:${quality}`] || null;
+}
+
+// Users bringing their own key pay the vendor directly, so tiers do not limit them
+function isAllowedForTier(entry, tier, ownKey) {
+  return ownKey || entry.tiers.includes(tier || 'free');
+}
+
+// The model used when the primary fails: the same quality on the fallback provider, otherwise
+// the next lower quality on the same provider
+function getFallbackEntry(primary, { tier, ownKey }) {
+  const fallbackProvider = MODEL_CONFIG.FALLBACK_PROVIDER;
+  if (!ownKey && fallbackProvider && fallbackProvider !== primary.provider && isProviderConfigured(fallbackProvider)) {
+    const entry = getCatalogEntry(fallbackProvider, primary.quality);
+    if (entry && isAllowedForTier(entry, tier, ownKey)) {
+      return entry;
+    }
+  }
+
+  const lowerQuality = QUALITY_LEVELS[QUALITY_LEVELS.indexOf(primary.quality) - 1];
+  return lowerQuality ? getCatalogEntry(primary.provider, lowerQuality) : null;
+}
+
+// Pick the primary and fallback model for a request
+function resolveModelRoute({ providerName, quality, tier, ownKey = false }) {
+  let level = QUALITY_LEVELS.indexOf(quality);
+  while (level > 0 && !isAllowedForTier(getCatalogEntry(providerName, QUALITY_LEVELS[level]), tier, ownKey)) {
+    level--;
+  }
+
+  const primary = getCatalogEntry(providerName, QUALITY_LEVELS[level]);
+
+  return {
+    primary,
+    fallback: getFallbackEntry(primary, { tier, ownKey }),
+    requestedQuality: quality,
+    downgraded: primary.quality !== quality
+  };
+}
+
+// Call the primary model, then the fallback once if the primary fails with a retryable error and
+// enough time is left. buildRequest(entry) returns the request without model and signal.
+// Resolves to { completion, entry, fellBack }
+async function completeWithFallback(route, buildRequest, { userApiKey, timeoutMs, logPrefix }) {
+  const deadline = Date.now() + timeoutMs;
+
+  const call = (entry, ms) => getProvider(entry.provider, userApiKey).complete({
+    ...buildRequest(entry),
+    model: entry.model,
+    signal: AbortSignal.timeout(ms)
+  });
+
+  try {
+    return { completion: await call(route.primary, timeoutMs), entry: route.primary, fellBack: false };
+  } catch (error) {
+    const remaining = deadline - Date.now();
+    if (!route.fallback || !classifyProviderError(error).retryable || remaining < MODEL_CONFIG.MIN_FALLBACK_MS) {
+      throw error;
+    }
+
+    console.warn(`${logPrefix} Primary model failed, falling back:`, {
+      primary: route.primary.id,
+      fallback: route.fallback.id,
+      error: error.message
+    });
+
+    return { completion: await call(route.fallback, remaining), entry: route.fallback, fellBack: true };
+  }
+}
+
+// The catalog as shown to a user (what each quality costs and whether their tier allows it)
+function listModels(providerName, tier) {
+  return QUALITY_LEVELS.map(quality => {
+    const entry = getCatalogEntry(providerName, quality);
+    return {
+      id: entry.id,
+      quality,
+      provider: entry.provider,
+      model: entry.model,
+      max_tokens: entry.maxTokens,
+      image_detail: entry.imageDetail,
+      credits: entry.credits,
+      tiers: entry.tiers,
+      allowed: isAllowedForTier(entry, tier, false)
+    };
+  });
+}
+
+module.exports = {
+  QUALITY_LEVELS,
+  MODEL_CONFIG,
+  MODEL_CATALOG,
+  isValidQuality,
+  resolveModelRoute,
+  completeWithFallback,
+  listModels
+};
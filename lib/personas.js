@@ -0,0 +1,135 @@
+const { supabaseAdmin } = require('./supabase');
+const { sanitizeInput } = require('./security');
+const { LANGUAGES, AUTO_LANGUAGE, parseReplyLanguage } = require('./languages');
+
+// Saved tone and persona presets
+// A persona describes a voice (tone, banned phrases, signature style, examples, reply language)
+// that is rendered into the system prompt whenever a request passes its persona_id
+
+const PERSONA_LIMITS = {
+  MAX_PERSONAS_PER_USER: 20,
+  NAME_LENGTH: 60,
+  TONE_LENGTH: 200,
+  DESCRIPTION_LENGTH: 1000,
+  SIGNATURE_STYLE_LENGTH: 300,
+  MAX_BANNED_PHRASES: 20,
+  BANNED_PHRASE_LENGTH: 100,
+  MAX_EXAMPLES: 5,
+  EXAMPLE_LENGTH: 500
+};
+
+const PERSONA_COLUMNS = 'id, name, tone, description, banned_phrases, signature_style, examples, reply_language, is_default, created_at, updated_at';
+
+function sanitizeList(value, maxItems, maxLength) {
+  return value
+    .map(item => sanitizeInput(item).slice(0, maxLength))
+    .filter(Boolean)
+    .slice(0, maxItems);
+}
+
+// Validate and sanitize persona fields from a request body
+// With `partial` only the provided fields are validated (for updates)
+function validatePersonaInput(body, { partial = false } = {}) {
+  const persona = {};
+  const input = body || {};
+
+  if (input.name !== undefined || !partial) {
+    const name = sanitizeInput(input.name).slice(0, PERSONA_LIMITS.NAME_LENGTH);
+    if (!name) {
+      return { valid: false, error: 'Persona name is required' };
+    }
+    persona.name = name;
+  }
+
+  const textFields = {
+    tone: PERSONA_LIMITS.TONE_LENGTH,
+    description: PERSONA_LIMITS.DESCRIPTION_LENGTH,
+    signature_style: PERSONA_LIMITS.SIGNATURE_STYLE_LENGTH
+  };
+  for (const [field, maxLength] of Object.entries(textFields)) {
+    if (input[field] !== undefined) {
+      persona[field] = sanitizeInput(input[field]).slice(0, maxLength) || null;
+    }
+  }
+
+  if (input.banned_phrases !== undefined) {
+    if (!Array.isArray(input.banned_phrases)) {
+      return { valid: false, error: 'banned_phrases must be an array of strings' };
+    }
+    persona.banned_phrases = sanitizeList(
+      input.banned_phrases,
+      PERSONA_LIMITS.MAX_BANNED_PHRASES,
+      PERSONA_LIMITS.BANNED_PHRASE_LENGTH
+    );
+  }
+
+  if (input.examples !== undefined) {
+    if (!Array.isArray(input.examples)) {
+      return { valid: false, error: 'examples must be an array of strings' };
+    }
+    persona.examples = sanitizeList(
+      input.examples,
+      PERSONA_LIMITS.MAX_EXAMPLES,
+      PERSONA_LIMITS.EXAMPLE_LENGTH
+    );
+  }
+
+  // null or 'auto' replies in the post's language
+  if (input.reply_language !== undefined) {
+    const replyLanguage = parseReplyLanguage(input.reply_language);
+    if (replyLanguage === null) {
+      return { valid: false, error: `reply_language must be '${AUTO_LANGUAGE}' or one of: ${Object.keys(LANGUAGES).join(', ')}` };
+    }
+    persona.reply_language = replyLanguage && replyLanguage !== AUTO_LANGUAGE ? replyLanguage : null;
+  }
+
+  if (partial && Object.keys(persona).length === 0) {
+    return { valid: false, error: 'No persona fields to update' };
+  }
+
+  return { valid: true, persona };
+}
+
+// Load the requested persona, or the user's default one when no id is given
+async function getPersona(userId, personaId) {
+  let query = supabaseAdmin
+    .from('personas')
+    .select(PERSONA_COLUMNS)
+    .eq('user_id', userId);
+
+  query = personaId ? query.eq('id', personaId) : query.eq('is_default', true);
+
+  const { data: persona, error } = await query.maybeSingle();
+  if (error) {
+    throw error;
+  }
+
+  return persona;
+}
+
+// Render a persona as a system prompt section
+function buildPersonaInstructions(persona) {
+  if (!persona) return '';
+
+  const lines = [`\nWrite in the voice of the "${persona.name}" persona:`];
+  if (persona.tone) lines.push(`- Tone: ${persona.tone}`);
+  if (persona.description) lines.push(`- About this voice: ${persona.description}`);
+  if (persona.signature_style) lines.push(`- Signature style: ${persona.signature_style}`);
+  if (persona.banned_phrases?.length) {
+    lines.push(`- Never use these phrases: ${persona.banned_phrases.map(p => `"${p}"`).join(', ')}`);
+  }
+  if (persona.examples?.length) {
+    lines.push('- Example replies in this voice (match the style, do not copy them):');
+    persona.examples.forEach(example => lines.push(`  * ${example}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PERSONA_LIMITS,
+  PERSONA_COLUMNS,
+  validatePersonaInput,
+  getPersona,
+  buildPersonaInstructions
+};
@@ -0,0 +1,134 @@
+// Platform-aware generation profiles
+// Each profile adds style rules to the system prompt and sets a hard character limit on the output
+
+const PLATFORM_PROFILES = {
+  linkedin: {
+    name: 'LinkedIn',
+    maxLength: 1250,
+    style: [
+      'Professional but warm; write like a peer in the same industry',
+      'Add value with a specific takeaway, experience or question',
+      'Avoid slang and sales pitches'
+    ],
+    hashtags: 'Do not use hashtags',
+    mentions: 'Do not @mention anyone unless they appear in the post',
+    emoji: 'At most one emoji, and only if it fits naturally'
+  },
+  x: {
+    name: 'X (Twitter)',
+    maxLength: 280,
+    style: [
+      'Punchy and direct; one or two short sentences',
+      'Conversational tone; wit is welcome but stay respectful'
+    ],
+    hashtags: 'At most one hashtag, only if it is already part of the conversation',
+    mentions: 'Do not add @mentions; the reply already addresses the author',
+    emoji: 'At most one emoji'
+  },
+  reddit: {
+    name: 'Reddit',
+    maxLength: 1500,
+    style: [
+      'Casual and genuine; write like a community member, not a brand',
+      'Engage with the substance of the post; add information or a real opinion',
+      'No self-promotion'
+    ],
+    hashtags: 'Never use hashtags',
+    mentions: 'Refer to users as u/username only if they appear in the thread',
+    emoji: 'Do not use emojis'
+  },
+  instagram: {
+    name: 'Instagram',
+    maxLength: 300,
+    style: [
+      'Upbeat and personal; react to the visual content',
+      'Keep it short; one or two sentences'
+    ],
+    hashtags: 'Do not use hashtags in comments',
+    mentions: 'Do not add @mentions',
+    emoji: 'One to three relevant emojis are welcome'
+  },
+  youtube: {
+    name: 'YouTube',
+    maxLength: 500,
+    style: [
+      'Friendly viewer tone; reference a specific moment or point from the video',
+      'Questions to the creator are encouraged'
+    ],
+    hashtags: 'Do not use hashtags',
+    mentions: 'Do not add @mentions',
+    emoji: 'At most two emojis'
+  },
+  facebook: {
+    name: 'Facebook',
+    maxLength: 600,
+    style: [
+      'Warm and conversational, like talking to a friend or neighbor',
+      'Keep it relatable and supportive'
+    ],
+    hashtags: 'Do not use hashtags',
+    mentions: 'Do not add @mentions',
+    emoji: 'One or two emojis are fine'
+  }
+};
+
+function isSupportedPlatform(platform) {
+  return Object.prototype.hasOwnProperty.call(PLATFORM_PROFILES, platform);
+}
+
+function getPlatformProfile(platform) {
+  return isSupportedPlatform(platform) ? PLATFORM_PROFILES[platform] : null;
+}
+
+// Platform rules appended to the base system prompt
+function buildPlatformInstructions(platform) {
+  const profile = getPlatformProfile(platform);
+  if (!profile) return '';
+
+  return `
+This reply will be posted on ${profile.name}. Follow these platform rules:
+${profile.style.map(rule => `- ${rule}`).join('\n')}
+- Hashtags: ${profile.hashtags}
+- Mentions: ${profile.mentions}
+- Emoji: ${profile.emoji}
+- Hard limit: ${profile.maxLength} characters including spaces`;
+}
+
+// Trim text to the platform's character limit, preferring sentence and then word boundaries
+function enforceLengthLimit(text, platform) {
+  const profile = getPlatformProfile(platform);
+  // Count code points so emojis are not split in half
+  const chars = Array.from(text);
+
+  if (!profile || chars.length <= profile.maxLength) {
+    return { text, truncated: false };
+  }
+
+  const limit = profile.maxLength;
+  const window = chars.slice(0, limit).join('');
+
+  // Cut after the last complete sentence if that keeps most of the reply
+  const sentenceEnd = Math.max(
+    window.lastIndexOf('. '),
+    window.lastIndexOf('! '),
+    window.lastIndexOf('? ')
+  );
+  if (sentenceEnd > window.length / 2) {
+    return { text: window.slice(0, sentenceEnd + 1).trim(), truncated: true };
+  }
+
+  // Otherwise cut at a word boundary, leaving room for the ellipsis
+  const clipped = chars.slice(0, limit - 1).join('');
+  const wordEnd = clipped.lastIndexOf(' ');
+  const base = wordEnd > clipped.length / 2 ? clipped.slice(0, wordEnd) : clipped;
+
+  return { text: base.replace(/[\s,;:\-]+$/, '') + '…', truncated: true };
+}
+
+module.exports = {
+  PLATFORM_PROFILES,
+  isSupportedPlatform,
+  getPlatformProfile,
+  buildPlatformInstructions,
+  enforceLengthLimit
+};
@@ -0,0 +1,155 @@
+const { sanitizeInput } = require('./security');
+const { frameUntrusted } = require('./prompts');
+
+// Draft polishing for /api/analyze
+// When a request carries the user's own `draft`, the model tightens it (grammar, spelling, tone)
+// instead of writing a new reply. The post (screenshot, post or thread text) is only context.
+// The result is the polished text, the model's list of changes and a word-level diff
+
+const POLISH_CONFIG = {
+  DRAFT_LENGTH: 3000,
+  TONE_LENGTH: 100,
+  MAX_TOKENS: 900,
+  MAX_CHANGES: 20,
+  CHANGE_TEXT_LENGTH: 300
+};
+
+// Replaces the request for a reply in the user message
+const POLISH_TASK = 'Please polish the user\'s draft reply.';
+
+const CHANGE_TYPES = ['grammar', 'spelling', 'punctuation', 'clarity', 'tone', 'concision', 'style'];
+
+// Validate the draft fields of a request: { draft, tone }
+function validateDraftInput(body) {
+  const { draft, tone } = body || {};
+
+  if (typeof draft !== 'string') {
+    return { valid: false, error: 'draft must be a string' };
+  }
+
+  const text = sanitizeInput(draft, POLISH_CONFIG.DRAFT_LENGTH);
+  if (!text) {
+    return { valid: false, error: 'draft must not be empty' };
+  }
+
+  if (tone !== undefined && tone !== null && typeof tone !== 'string') {
+    return { valid: false, error: 'tone must be a string' };
+  }
+
+  return {
+    valid: true,
+    draft: { text, tone: sanitizeInput(tone, POLISH_CONFIG.TONE_LENGTH) || null }
+  };
+}
+
+// Instructions appended to the system prompt for polishing
+function buildPolishInstructions() {
+  return `
+Instead of writing a new reply, polish the user's draft reply:
+- Fix grammar, spelling and punctuation, and tighten wording that is unclear or wordy
+- Adjust the tone to the style preferences and any tone the user asked for
+- Keep the user's meaning, voice and language; do not add new points or facts
+- Leave a draft that is already good unchanged
+Respond with JSON only, in this exact shape:
+{"polished": "<the polished reply>", "changes": [{"type": "<one of: ${CHANGE_TYPES.join(', ')}>", "original": "<exact text from the draft>", "revised": "<replacement text>", "reason": "<short explanation>"}]}
+List every change, in the order it appears in the draft. Use an empty "original" for added text and an empty "revised" for removed text.`;
+}
+
+// The draft (and requested tone) for the user message
+function buildDraftText(draft) {
+  return frameUntrusted('The user\'s draft reply to polish', draft.text, { guidance: true }) +
+    (draft.tone ? `\n\n${frameUntrusted('Tone requested by the user', draft.tone, { guidance: true })}` : '');
+}
+
+// Extract the polished text and its changes from the model's JSON output; null when the output
+// has no polished text. Changes whose original text is not in the draft are dropped
+function parsePolishResult(content, draft) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+
+  if (typeof parsed?.polished !== 'string' || !parsed.polished.trim()) {
+    return null;
+  }
+
+  const changes = [];
+  for (const item of Array.isArray(parsed.changes) ? parsed.changes : []) {
+    if (!item || typeof item !== 'object') continue;
+
+    const original = typeof item.original === 'string' ? item.original : '';
+    const revised = typeof item.revised === 'string' ? item.revised : '';
+    if (original === revised || (original && !draft.text.includes(original))) continue;
+
+    changes.push({
+      type: CHANGE_TYPES.includes(item.type) ? item.type : 'style',
+      original: original.slice(0, POLISH_CONFIG.CHANGE_TEXT_LENGTH),
+      revised: revised.slice(0, POLISH_CONFIG.CHANGE_TEXT_LENGTH),
+      reason: typeof item.reason === 'string' ? item.reason.trim().slice(0, POLISH_CONFIG.CHANGE_TEXT_LENGTH) : null
+    });
+  }
+
+  return {
+    text: parsed.polished.trim(),
+    changes: changes.slice(0, POLISH_CONFIG.MAX_CHANGES)
+  };
+}
+
+// Word-level diff between the draft and the polished text: [{ op: 'equal' | 'delete' | 'insert', text }].
+// Joining the equal and delete parts gives the draft; the equal and insert parts give the polished text
+function diffWords(original, revised) {
+  // Words keep their trailing whitespace, so changes line up on whole words
+  const a = original.match(/^\s+|\S+\s*/g) || [];
+  const b = revised.match(/^\s+|\S+\s*/g) || [];
+
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  const push = (op, text) => {
+    const last = diff[diff.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      diff.push({ op, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('delete', a[i]);
+      i++;
+    } else {
+      push('insert', b[j]);
+      j++;
+    }
+  }
+
+  return diff;
+}
+
+module.exports = {
+  POLISH_CONFIG,
+  POLISH_TASK,
+  CHANGE_TYPES,
+  validateDraftInput,
+  buildPolishInstructions,
+  buildDraftText,
+  parsePolishResult,
+  diffWords
+};
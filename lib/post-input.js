@@ -0,0 +1,143 @@
+const { sanitizeInput } = require('./security');
+const { frameUntrusted } = require('./prompts');
+
+// Structured post and thread input for text-based analysis
+// Lets the extension send the post text it already has instead of (or alongside) a screenshot,
+// and describe the comment thread a reply belongs to
+
+const POST_INPUT_LIMITS = {
+  TEXT_LENGTH: 5000,
+  AUTHOR_LENGTH: 100,
+  MAX_COMMENTS: 20,
+  COMMENT_LENGTH: 500,
+  MAX_THREAD_REPLIES: 20
+};
+
+// Validate and sanitize a { text, author, comments: [{ author, text }] } payload
+function validatePostInput(post) {
+  if (!post || typeof post !== 'object' || Array.isArray(post)) {
+    return { valid: false, error: 'post must be an object' };
+  }
+
+  const text = sanitizeInput(post.text, POST_INPUT_LIMITS.TEXT_LENGTH);
+  if (!text) {
+    return { valid: false, error: 'post.text is required' };
+  }
+
+  if (post.comments !== undefined && !Array.isArray(post.comments)) {
+    return { valid: false, error: 'post.comments must be an array' };
+  }
+
+  const comments = (post.comments || [])
+    .slice(0, POST_INPUT_LIMITS.MAX_COMMENTS)
+    .map(comment => ({
+      author: sanitizeInput(comment?.author, POST_INPUT_LIMITS.AUTHOR_LENGTH) || null,
+      text: sanitizeInput(comment?.text, POST_INPUT_LIMITS.COMMENT_LENGTH)
+    }))
+    .filter(comment => comment.text);
+
+  return {
+    valid: true,
+    post: {
+      text,
+      author: sanitizeInput(post.author, POST_INPUT_LIMITS.AUTHOR_LENGTH) || null,
+      comments
+    }
+  };
+}
+
+// Sanitize one { author, text } thread entry (null when empty)
+function sanitizeThreadEntry(entry, maxLength) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const text = sanitizeInput(entry.text, maxLength);
+  if (!text) return null;
+
+  return {
+    author: sanitizeInput(entry.author, POST_INPUT_LIMITS.AUTHOR_LENGTH) || null,
+    text
+  };
+}
+
+// Validate and sanitize a { original_post, parent_comment, replies: [] } payload
+// Each entry is { author, text }; parent_comment is the comment being replied to
+function validateThreadInput(thread) {
+  if (!thread || typeof thread !== 'object' || Array.isArray(thread)) {
+    return { valid: false, error: 'thread must be an object' };
+  }
+
+  if (thread.replies !== undefined && !Array.isArray(thread.replies)) {
+    return { valid: false, error: 'thread.replies must be an array' };
+  }
+
+  const sanitized = {
+    original_post: sanitizeThreadEntry(thread.original_post, POST_INPUT_LIMITS.TEXT_LENGTH),
+    parent_comment: sanitizeThreadEntry(thread.parent_comment, POST_INPUT_LIMITS.COMMENT_LENGTH),
+    replies: (thread.replies || [])
+      .slice(0, POST_INPUT_LIMITS.MAX_THREAD_REPLIES)
+      .map(reply => sanitizeThreadEntry(reply, POST_INPUT_LIMITS.COMMENT_LENGTH))
+      .filter(Boolean)
+  };
+
+  if (!sanitized.original_post && !sanitized.parent_comment) {
+    return { valid: false, error: 'thread needs an original_post or parent_comment with text' };
+  }
+
+  return { valid: true, thread: sanitized };
+}
+
+// 'image', 'text' or 'image_text' depending on what the request carries
+function getInputMode(hasImage, hasText) {
+  if (hasImage && hasText) return 'image_text';
+  return hasImage ? 'image' : 'text';
+}
+
+// Render the post as a text block for the model, framed as untrusted data
+function renderPostText(post) {
+  const lines = [`Post by ${post.author || 'unknown author'}:`, post.text];
+
+  if (post.comments.length > 0) {
+    lines.push('Existing comments:');
+    post.comments.forEach(comment => {
+      lines.push(`- ${comment.author || 'unknown'}: ${comment.text}`);
+    });
+  }
+
+  return frameUntrusted('The post', lines.join('\n'));
+}
+
+// Render the thread as a text block, with instructions on who the reply is addressed to.
+// The thread itself is framed as untrusted data; the instructions stay outside it
+function renderThreadText(thread) {
+  const entries = [];
+
+  if (thread.original_post) {
+    entries.push(`[Original post] ${thread.original_post.author || 'unknown author'}: ${thread.original_post.text}`);
+  }
+  if (thread.parent_comment) {
+    entries.push(`[Replying to] ${thread.parent_comment.author || 'unknown'}: ${thread.parent_comment.text}`);
+  }
+  thread.replies.forEach(reply => {
+    entries.push(`[Other reply] ${reply.author || 'unknown'}: ${reply.text}`);
+  });
+
+  const lines = [frameUntrusted('Comment thread', entries.join('\n')), ''];
+  if (thread.parent_comment) {
+    const addressee = thread.parent_comment.author || 'the commenter';
+    lines.push(`Write a reply to ${addressee}'s comment, not to the original post author.`);
+  }
+  if (thread.replies.length > 0) {
+    lines.push('Do not repeat points already made in the other replies.');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  POST_INPUT_LIMITS,
+  validatePostInput,
+  validateThreadInput,
+  getInputMode,
+  renderPostText,
+  renderThreadText
+};
@@ -0,0 +1,143 @@
+const { IMAGE_CONFIG } = require('./images');
+
+// Pricing engine
+// Credits follow what a generation actually costs: the provider's token prices for the model,
+// the image tokens its detail level produces and the features used. Before generation a quote
+// (an upper bound from estimated input tokens and the full output budget) is reserved; after
+// generation the actual usage is priced and never charged above the quote.
+//
+//   credits = max(model base credits, ceil(token cost / CREDIT_VALUE_USD)) + feature credits
+
+const PRICING_CONFIG = {
+  // Provider spend covered by one credit
+  CREDIT_VALUE_USD: parseFloat(process.env.CREDIT_VALUE_USD || '0.004'),
+  // Surcharge for multi-candidate requests
+  CANDIDATES_CREDITS: parseInt(process.env.PRICING_CANDIDATES_CREDITS || '1'),
+  // Rough characters per token for estimating text input
+  CHARS_PER_TOKEN: 4,
+  // Price used for models missing from MODEL_PRICES (e.g. self-hosted compatible models)
+  DEFAULT_PRICE: {
+    input: parseFloat(process.env.PRICING_DEFAULT_INPUT_USD || '0.15'),
+    output: parseFloat(process.env.PRICING_DEFAULT_OUTPUT_USD || '0.60')
+  }
+};
+
+// USD per million tokens, by model (Azure deployments are matched by name too)
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+  'claude-sonnet-4-0': { input: 3.00, output: 15.00 }
+};
+
+function getModelPrice(model) {
+  return MODEL_PRICES[model] || PRICING_CONFIG.DEFAULT_PRICE;
+}
+
+function estimateTextTokens(texts) {
+  const characters = texts.filter(Boolean).reduce((sum, text) => sum + text.length, 0);
+  return Math.ceil(characters / PRICING_CONFIG.CHARS_PER_TOKEN);
+}
+
+// Image input tokens by detail level (OpenAI's tiling rule, used as the estimate for every
+// provider). Unknown sizes assume the largest image normalization produces
+function estimateImageTokens(detail, size) {
+  if (detail === 'low') {
+    return 85;
+  }
+
+  let width = size?.width || IMAGE_CONFIG.MAX_DIMENSION;
+  let height = size?.height || IMAGE_CONFIG.MAX_DIMENSION;
+
+  // Fit within 2048x2048, then scale the shortest side down to 768
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  width *= fit;
+  height *= fit;
+  const shortSide = Math.min(1, 768 / Math.min(width, height));
+  width *= shortSide;
+  height *= shortSide;
+
+  return 85 + 170 * Math.ceil(width / 512) * Math.ceil(height / 512);
+}
+
+function getFeatureCredits(features) {
+  return features?.candidates > 1 ? PRICING_CONFIG.CANDIDATES_CREDITS : 0;
+}
+
+// Credits and provider cost for a token count on a catalog entry
+function calculatePrice(entry, { inputTokens, outputTokens }, features, { maxCredits = null, flatCredits = null } = {}) {
+  const price = getModelPrice(entry.model);
+  const costUsd = (inputTokens * price.input + outputTokens * price.output) / 1e6;
+
+  const tokenCredits = Math.ceil(costUsd / PRICING_CONFIG.CREDIT_VALUE_USD);
+  const featureCredits = getFeatureCredits(features);
+  let credits = flatCredits !== null
+    ? flatCredits
+    : Math.max(entry.credits, tokenCredits) + featureCredits;
+
+  const capped = maxCredits !== null && credits > maxCredits;
+  if (capped) {
+    credits = maxCredits;
+  }
+
+  return {
+    credits,
+    costUsd: Number(costUsd.toFixed(6)),
+    breakdown: {
+      model: entry.model,
+      quality: entry.quality,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      base_credits: entry.credits,
+      token_credits: tokenCredits,
+      feature_credits: featureCredits,
+      ...(flatCredits !== null && { flat_credits: flatCredits }),
+      ...(maxCredits !== null && { quoted_credits: maxCredits }),
+      capped
+    }
+  };
+}
+
+// Upper-bound price of a generation before it runs: estimated input (texts and images at the
+// entry's detail level) plus the full output budget
+function quoteGeneration({ entry, texts = [], images = [], maxTokens, features = {} }) {
+  const inputTokens = estimateTextTokens(texts) +
+    images.reduce((sum, size) => sum + estimateImageTokens(entry.imageDetail, size), 0);
+
+  return calculatePrice(entry, { inputTokens, outputTokens: maxTokens }, features);
+}
+
+// Quote for a built model request (see lib/analysis.js): its system prompt and text parts,
+// the given image sizes and its output budget
+function quoteRequest({ entry, request, images = [], features = {} }) {
+  return quoteGeneration({
+    entry,
+    texts: [
+      request.system,
+      ...request.messages.flatMap(message => message.content
+        .filter(part => part.type === 'text')
+        .map(part => part.text))
+    ],
+    images,
+    maxTokens: request.maxTokens,
+    features
+  });
+}
+
+// Price of a finished generation from the provider-reported usage, capped at its quote.
+// flatCredits replaces the token-based credits for flat-priced requests (cache hits, refinements)
+function priceUsage({ entry, usage, features = {}, maxCredits = null, flatCredits = null }) {
+  return calculatePrice(entry, {
+    inputTokens: usage?.inputTokens || 0,
+    outputTokens: usage?.outputTokens || 0
+  }, features, { maxCredits, flatCredits });
+}
+
+module.exports = {
+  PRICING_CONFIG,
+  MODEL_PRICES,
+  estimateImageTokens,
+  quoteGeneration,
+  quoteRequest,
+  priceUsage
+};
@@ -0,0 +1,112 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Adapter for the Anthropic Messages API
+
+// Split a base64 data URL into the media type and payload Anthropic expects
+function toImageSource(dataUrl) {
+  const [header, data] = dataUrl.split(',');
+  const format = header.match(/^data:image\/(\w+);base64$/)?.[1] || 'jpeg';
+
+  return {
+    type: 'base64',
+    media_type: `image/${format === 'jpg' ? 'jpeg' : format}`,
+    data
+  };
+}
+
+function toAnthropicContent(content) {
+  if (typeof content === 'string') return content;
+
+  return content.map(part => {
+    if (part.type === 'image') {
+      return { type: 'image', source: toImageSource(part.dataUrl) };
+    }
+    return { type: 'text', text: part.text };
+  });
+}
+
+function normalizeUsage(inputTokens, outputTokens) {
+  return {
+    inputTokens: inputTokens || 0,
+    outputTokens: outputTokens || 0,
+    totalTokens: (inputTokens || 0) + (outputTokens || 0)
+  };
+}
+
+function createAnthropicProvider({ apiKey }) {
+  const client = new Anthropic({ apiKey });
+
+  function buildRequest({ model, system, messages, maxTokens, temperature, json, userId }) {
+    const anthropicMessages = messages.map(message => ({
+      role: message.role,
+      content: toAnthropicContent(message.content)
+    }));
+
+    // There is no JSON mode, so prefill the reply with an opening brace
+    if (json) {
+      anthropicMessages.push({ role: 'assistant', content: '{' });
+    }
+
+    return {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system && { system }),
+      messages: anthropicMessages,
+      ...(userId && { metadata: { user_id: userId } })
+    };
+  }
+
+  return {
+    name: 'anthropic',
+
+    async complete(request) {
+      const message = await client.messages.create(
+        buildRequest(request),
+        { signal: request.signal }
+      );
+
+      const text = message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        text: request.json ? '{' + text : text,
+        usage: normalizeUsage(message.usage?.input_tokens, message.usage?.output_tokens),
+        model: message.model || request.model,
+        provider: 'anthropic'
+      };
+    },
+
+    async *stream(request) {
+      const stream = await client.messages.create({
+        ...buildRequest(request),
+        stream: true
+      }, { signal: request.signal });
+
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      if (request.json) {
+        yield { type: 'delta', text: '{' };
+      }
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          inputTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { type: 'delta', text: event.delta.text };
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage?.output_tokens || outputTokens;
+        }
+      }
+
+      yield { type: 'usage', usage: normalizeUsage(inputTokens, outputTokens) };
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
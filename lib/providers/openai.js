@@ -0,0 +1,111 @@
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+
+// Adapter for the OpenAI Chat Completions API
+// Also used for Azure OpenAI and OpenAI-compatible servers (Ollama, vLLM), which share the same wire format
+
+// Convert common message parts into Chat Completions content
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content;
+
+  return content.map(part => {
+    if (part.type === 'image') {
+      return {
+        type: 'image_url',
+        image_url: {
+          url: part.dataUrl,
+          ...(part.detail && { detail: part.detail })
+        }
+      };
+    }
+    return { type: 'text', text: part.text };
+  });
+}
+
+function toOpenAIMessages(system, messages) {
+  return [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...messages.map(message => ({
+      role: message.role,
+      content: toOpenAIContent(message.content)
+    }))
+  ];
+}
+
+function normalizeUsage(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+function createChatCompletionsProvider(name, client, options = {}) {
+  function buildRequest({ model, system, messages, maxTokens, temperature, json, userId }) {
+    return {
+      model,
+      messages: toOpenAIMessages(system, messages),
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && { response_format: { type: 'json_object' } }),
+      // For OpenAI's abuse monitoring (not understood by every compatible server)
+      ...(userId && options.sendUser !== false && { user: userId })
+    };
+  }
+
+  return {
+    name,
+
+    async complete(request) {
+      const completion = await client.chat.completions.create(
+        buildRequest(request),
+        { signal: request.signal }
+      );
+
+      return {
+        text: completion.choices[0]?.message?.content || '',
+        usage: normalizeUsage(completion.usage),
+        model: completion.model || request.model,
+        provider: name
+      };
+    },
+
+    async *stream(request) {
+      const stream = await client.chat.completions.create({
+        ...buildRequest(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: request.signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield { type: 'delta', text: delta };
+        }
+        if (chunk.usage) {
+          yield { type: 'usage', usage: normalizeUsage(chunk.usage) };
+        }
+      }
+    }
+  };
+}
+
+function createOpenAIProvider({ apiKey }) {
+  return createChatCompletionsProvider('openai', new OpenAI({ apiKey }));
+}
+
+function createAzureProvider({ apiKey, endpoint, apiVersion }) {
+  return createChatCompletionsProvider('azure', new AzureOpenAI({ apiKey, endpoint, apiVersion }));
+}
+
+function createCompatibleProvider({ apiKey, baseURL }) {
+  // Local servers usually ignore the key, but the SDK requires one
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+  return createChatCompletionsProvider('compatible', client, { sendUser: false });
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createAzureProvider,
+  createCompatibleProvider
+};
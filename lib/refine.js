@@ -0,0 +1,110 @@
+const { sanitizeInput } = require('./security');
+const { frameUntrusted } = require('./prompts');
+
+// Refinement instructions for /api/refine
+// A refinement rewrites a stored generation according to one instruction; it is a text-only
+// model call with its own flat price (REFINE_CREDITS) instead of a fresh analysis quote. Credits
+// are whole numbers, so by default it costs the same as the cheapest analysis, not less
+
+const REFINE_CONFIG = {
+  // Flat price of a refinement (never below the fast model's credits)
+  CREDITS: parseInt(process.env.REFINE_CREDITS || '1'),
+  MAX_TOKENS: 150,
+  CUSTOM_INSTRUCTION_LENGTH: 300,
+  TARGET_LANGUAGE_LENGTH: 40
+};
+
+const REFINE_INSTRUCTIONS = {
+  shorter: () => 'Make it noticeably shorter while keeping the main point.',
+  funnier: () => 'Make it funnier with light, friendly humor that still fits the post.',
+  more_casual: () => 'Make it more casual and conversational.',
+  more_formal: () => 'Make it more polished and professional.',
+  add_question: () => 'Keep it, but end with a genuine question that invites the author to reply.',
+  translate: ({ targetLanguage }) => `Translate it into ${targetLanguage}, keeping the tone and meaning.`,
+  custom: ({ text }) => text
+};
+
+// Validate the instruction fields of a refine request
+function validateRefineInput(body) {
+  const { instruction, text, target_language, candidate } = body || {};
+
+  if (!Object.prototype.hasOwnProperty.call(REFINE_INSTRUCTIONS, instruction)) {
+    return {
+      valid: false,
+      error: `instruction must be one of: ${Object.keys(REFINE_INSTRUCTIONS).join(', ')}`
+    };
+  }
+
+  const refine = { instruction, text: null, targetLanguage: null, candidate: null };
+
+  if (instruction === 'custom') {
+    refine.text = sanitizeInput(text, REFINE_CONFIG.CUSTOM_INSTRUCTION_LENGTH);
+    if (!refine.text) {
+      return { valid: false, error: 'text is required for custom instructions' };
+    }
+  }
+
+  if (instruction === 'translate') {
+    refine.targetLanguage = sanitizeInput(target_language, REFINE_CONFIG.TARGET_LANGUAGE_LENGTH);
+    if (!refine.targetLanguage) {
+      return { valid: false, error: 'target_language is required for translate' };
+    }
+  }
+
+  if (candidate !== undefined && candidate !== null) {
+    if (!Number.isInteger(candidate) || candidate < 1) {
+      return { valid: false, error: 'candidate must be a positive integer (the candidate rank)' };
+    }
+    refine.candidate = candidate;
+  }
+
+  return { valid: true, refine };
+}
+
+// The comment being refined: the chosen candidate, or the generation's main response
+function getRefineSource(generation, candidateRank) {
+  if (!candidateRank) {
+    return generation.response;
+  }
+
+  const match = (generation.candidates || []).find(candidate => candidate.rank === candidateRank);
+  return match ? match.response : null;
+}
+
+// User message for the refinement call
+function buildRefineMessage(generation, sourceText, refine) {
+  const lines = [];
+
+  if (generation.post_text) {
+    lines.push('The post being replied to:', generation.post_text, '');
+  }
+  if (generation.context) {
+    lines.push(frameUntrusted('What the user asked for originally', generation.context, { guidance: true }), '');
+  }
+
+  lines.push(
+    'Current comment:',
+    `"""\n${sourceText}\n"""`,
+    '',
+    `Revise the comment. ${REFINE_INSTRUCTIONS[refine.instruction](refine)}`,
+    'Reply with the revised comment only.'
+  );
+
+  return lines.join('\n');
+}
+
+// Short label stored on the usage row
+function describeRefineInstruction(refine) {
+  if (refine.instruction === 'translate') return `translate:${refine.targetLanguage}`;
+  if (refine.instruction === 'custom') return `custom:${refine.text.substring(0, 80)}`;
+  return refine.instruction;
+}
+
+module.exports = {
+  REFINE_CONFIG,
+  REFINE_INSTRUCTIONS,
+  validateRefineInput,
+  getRefineSource,
+  buildRefineMessage,
+  describeRefineInstruction
+};
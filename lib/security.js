@@ -84,15 +84,21 @@ function validateImageData(imageDataUrl) {
   return { valid: true };
 }
 
+// Validate UUID identifiers before they reach a database query
+function isValidUUID(value) {
+  return typeof value === 'string' &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
 // Sanitize user input
-function sanitizeInput(input) {
+function sanitizeInput(input, maxLength = 1000) {
   if (!input) return '';
   
   // Remove any potential XSS attempts
   return String(input)
     .replace(/[<>]/g, '') // Remove angle brackets
     .trim()
-    .slice(0, 1000); // Limit length
+    .slice(0, maxLength); // Limit length
 }
 
 // Verify request signature (optional enhanced security)
@@ -120,7 +126,7 @@ function verifyRequestSignature(data, timestamp, signature) {
 }
 
 // CORS configuration
-function configureCORS(req, res) {
+function configureCORS(req, res, allowedMethods = 'GET,OPTIONS,POST') {
   const origin = req.headers.origin;
   
   // In production, validate against allowed origins
@@ -140,7 +146,7 @@ function configureCORS(req, res) {
   }
   
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Methods', allowedMethods);
   res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Request-Timestamp, X-Request-Signature');
   
   return true;
@@ -154,6 +160,37 @@ function logSecurityEvent(event, details) {
   });
 }
 
+// Phrases typical of prompt-injection attempts in user prompts and post content
+const INJECTION_PATTERNS = {
+  ignore_instructions: /\b(ignore|disregard|forget|override)\b.{0,40}\b(instructions?|prompts?|rules|directions)\b/i,
+  role_override: /\b(you are (now|no longer)|from now on,? you|pretend (to be|you are)|act as if)\b/i,
+  new_instructions: /\b(new|updated|real|actual) (instructions|system prompt|rules)\s*:/i,
+  prompt_extraction: /\b(reveal|show|print|repeat|output|tell me)\b.{0,30}\b(system prompt|your (instructions|prompt|rules))\b/i,
+  role_markers: /(<?\|im_(start|end)\|>?|\[\/?INST\]|^\s*#{2,}\s*(system|assistant)\b|^\s*(system|assistant)\s*:)/im,
+  jailbreak: /\b(jailbreak|DAN mode|developer mode)\b/i
+};
+
+// Names of the injection patterns found in a text
+function detectPromptInjection(text) {
+  if (!text) return [];
+  return Object.entries(INJECTION_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([name]) => name);
+}
+
+// Check each named source ({ context, systemPrompt, post, ... }) and log any detection.
+// Requests are not rejected: the layered prompt keeps the text from acting as instructions
+function checkPromptInjection(userId, sources, endpoint) {
+  const detections = Object.entries(sources)
+    .map(([source, text]) => ({ source, patterns: detectPromptInjection(text) }))
+    .filter(detection => detection.patterns.length > 0);
+
+  if (detections.length > 0) {
+    logSecurityEvent('PROMPT_INJECTION_DETECTED', { userId, endpoint, detections });
+  }
+  return detections;
+}
+
 // Sanitize error messages (don't leak internal details)
 function sanitizeError(error) {
   const knownErrors = {
@@ -179,11 +216,14 @@ function sanitizeError(error) {
 module.exports = {
   rateLimit,
   validateImageData,
+  isValidUUID,
   sanitizeInput,
   generateRequestSignature,
   verifyRequestSignature,
   configureCORS,
   logSecurityEvent,
+  detectPromptInjection,
+  checkPromptInjection,
   sanitizeError,
   SECURITY_CONFIG
 };
\ No newline at end of file
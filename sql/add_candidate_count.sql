@@ -0,0 +1,8 @@
+-- Track how many reply candidates were generated per analysis
+-- Multi-candidate requests are priced by the pricing engine (lib/pricing.js): their token usage
+-- plus PRICING_CANDIDATES_CREDITS (default 1)
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS candidate_count INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN public.api_usage.candidate_count IS 'Number of reply candidates returned for this request';
@@ -0,0 +1,15 @@
+-- LLM provider selection and normalized token reporting
+
+-- Optional per-user provider override (openai, anthropic, azure, compatible); NULL uses LLM_PROVIDER
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS llm_provider TEXT
+  CHECK (llm_provider IN ('openai', 'anthropic', 'azure', 'compatible'));
+
+-- Provider, model and token counts for each generation
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS provider TEXT,
+  ADD COLUMN IF NOT EXISTS model TEXT,
+  ADD COLUMN IF NOT EXISTS input_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS output_tokens INTEGER;
+
+COMMENT ON COLUMN public.users.llm_provider IS 'LLM provider assigned to this user. NULL falls back to the LLM_PROVIDER environment variable.';
@@ -0,0 +1,11 @@
+-- Reply languages
+-- personas.reply_language fixes the language a persona replies in (NULL: the post's language).
+-- On usage rows, detected_language is the post language (reported by the model for screenshots,
+-- detected from the text otherwise) and reply_language the language of the reply. ISO 639-1 codes
+
+ALTER TABLE public.personas
+  ADD COLUMN IF NOT EXISTS reply_language TEXT CHECK (reply_language ~ '^[a-z]{2}$');
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS detected_language TEXT,
+  ADD COLUMN IF NOT EXISTS reply_language TEXT;
@@ -0,0 +1,7 @@
+-- Actual cost of each generation
+-- cost_usd is the provider spend priced from the row's token usage; pricing keeps the breakdown
+-- the credits were computed from (model, tokens, base/token/feature credits and the quote cap)
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6),
+  ADD COLUMN IF NOT EXISTS pricing JSONB;
@@ -0,0 +1,6 @@
+-- Post extractions (/api/extract) are logged as usage rows with input_mode 'extract'.
+-- The extracted JSON (first 200 characters) goes in ai_response and the post language in detected_language
+
+ALTER TABLE public.api_usage DROP CONSTRAINT IF EXISTS api_usage_input_mode_check;
+ALTER TABLE public.api_usage
+  ADD CONSTRAINT api_usage_input_mode_check CHECK (input_mode IN ('image', 'text', 'image_text', 'refine', 'extract'));
@@ -0,0 +1,15 @@
+-- Output guard results on usage rows
+-- guard_warnings lists the checks the returned reply still failed (toxicity, unverifiable_claim,
+-- competitor_mention, blocked_word, prompt_leak, ai_disclosure); regenerated marks replies that
+-- were generated a second time after failing a check
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS guard_warnings TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS regenerated BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_guard_warnings ON public.api_usage(user_id, created_at DESC)
+  WHERE guard_warnings <> '{}';
+
+-- Job items keep the warning codes of their reply (sql/create_analysis_jobs.sql)
+ALTER TABLE public.analysis_job_items
+  ADD COLUMN IF NOT EXISTS guard_warnings TEXT[] NOT NULL DEFAULT '{}';
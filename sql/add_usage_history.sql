@@ -0,0 +1,105 @@
+-- Generation history (/api/history)
+-- Users browse and search their past generations in api_usage. Usage rows are billing records
+-- (credit_transactions points at them), so deleting a history entry hides it and erases its text
+-- instead of removing the row. Run after sql/create_generation_feedback.sql.
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- Earlier versions of this file generated the column from the previews; the triggers below fill it now
+ALTER TABLE public.api_usage ALTER COLUMN search_vector DROP EXPRESSION IF EXISTS;
+
+-- api_usage only keeps previews (context and the first 200 characters of the response), so the
+-- search vector is built from the full text in generation_contexts when a generation stores one.
+-- The vector keeps only words, so search still finds the entry after its context expires.
+-- 'simple' configuration: no stemming, so search works the same for every language
+CREATE OR REPLACE FUNCTION set_usage_search_vector()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  NEW.search_vector := to_tsvector('simple', COALESCE(NEW.context, '') || ' ' || COALESCE(NEW.ai_response, ''));
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS api_usage_search_vector ON public.api_usage;
+CREATE TRIGGER api_usage_search_vector BEFORE INSERT ON public.api_usage
+  FOR EACH ROW EXECUTE FUNCTION set_usage_search_vector();
+
+CREATE OR REPLACE FUNCTION index_generation_context()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.api_usage
+  SET search_vector = to_tsvector('simple',
+    COALESCE(NEW.context, '') || ' ' || COALESCE(NEW.post_text, '') || ' ' || NEW.response)
+  WHERE id = NEW.usage_id
+    AND deleted_at IS NULL;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS generation_contexts_search_vector ON public.generation_contexts;
+CREATE TRIGGER generation_contexts_search_vector AFTER INSERT OR UPDATE OF response ON public.generation_contexts
+  FOR EACH ROW EXECUTE FUNCTION index_generation_context();
+
+-- Trigger functions only; nobody calls them through /rest/v1/rpc
+REVOKE EXECUTE ON FUNCTION set_usage_search_vector FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION index_generation_context FROM PUBLIC, anon, authenticated;
+
+-- Existing entries: full text where a context is still kept, otherwise the previews
+UPDATE public.api_usage u
+SET search_vector = to_tsvector('simple', COALESCE(u.context, '') || ' ' || COALESCE(u.ai_response, ''))
+WHERE u.search_vector IS NULL;
+
+UPDATE public.api_usage u
+SET search_vector = to_tsvector('simple',
+  COALESCE(g.context, '') || ' ' || COALESCE(g.post_text, '') || ' ' || g.response)
+FROM public.generation_contexts g
+WHERE g.usage_id = u.id
+  AND u.deleted_at IS NULL;
+
+-- Keyset pagination over a user's visible history, newest first
+CREATE INDEX IF NOT EXISTS idx_api_usage_history ON public.api_usage(user_id, created_at DESC, id DESC)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_search ON public.api_usage USING GIN (search_vector);
+
+-- Hide a history entry and erase everything it stored about the post and the response.
+-- Credits, tokens and the ledger entries are kept. Returns FALSE when the entry does not exist
+CREATE OR REPLACE FUNCTION delete_usage_entry(p_user_id UUID, p_usage_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.api_usage
+  SET deleted_at = NOW(), context = NULL, ai_response = NULL, refine_instruction = NULL, search_vector = NULL
+  WHERE id = p_usage_id
+    AND user_id = p_user_id
+    AND deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  DELETE FROM public.generation_contexts WHERE usage_id = p_usage_id;
+
+  -- Ratings stay for the feedback report; the posted text goes
+  UPDATE public.generation_feedback SET final_text = NULL WHERE usage_id = p_usage_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION delete_usage_entry TO service_role;
+-- It deletes usage of whichever p_user_id it is given, so clients must never reach it through /rest/v1/rpc
+REVOKE EXECUTE ON FUNCTION delete_usage_entry FROM PUBLIC, anon, authenticated;
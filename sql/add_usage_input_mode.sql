@@ -0,0 +1,5 @@
+-- Input mode for each generation: 'image' (screenshot), 'text' (structured post text) or 'image_text' (both)
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS input_mode TEXT NOT NULL DEFAULT 'image'
+  CHECK (input_mode IN ('image', 'text', 'image_text'));
@@ -0,0 +1,6 @@
+-- Platform profile used for each generation (linkedin, x, reddit, instagram, youtube, facebook)
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS platform TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_platform ON public.api_usage(user_id, platform);
@@ -0,0 +1,5 @@
+-- Polished drafts (/api/analyze with a `draft`) are logged as usage rows with input_mode 'polish'
+
+ALTER TABLE public.api_usage DROP CONSTRAINT IF EXISTS api_usage_input_mode_check;
+ALTER TABLE public.api_usage
+  ADD CONSTRAINT api_usage_input_mode_check CHECK (input_mode IN ('image', 'text', 'image_text', 'refine', 'extract', 'polish'));
@@ -0,0 +1,8 @@
+-- Model catalog quality levels on usage rows
+-- quality is the catalog level that produced the response ('fast', 'balanced', 'best');
+-- fallback_used marks responses from the fallback model after the primary model failed.
+-- Model routing reads users.tier ('free' or 'pro').
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS quality TEXT CHECK (quality IN ('fast', 'balanced', 'best')),
+  ADD COLUMN IF NOT EXISTS fallback_used BOOLEAN NOT NULL DEFAULT FALSE;
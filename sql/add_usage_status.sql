@@ -0,0 +1,12 @@
+-- Per-request outcome on usage rows
+-- Failed generations are logged too (status 'failed', an error_code and no credits) so clients
+-- can see what failed and retry just those items. consume_credits() writes only the keys it is
+-- given (see insert_api_usage() in sql/create_consume_credits.sql), so the new columns need no
+-- function changes
+
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'success' CHECK (status IN ('success', 'failed')),
+  ADD COLUMN IF NOT EXISTS error_code TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_failed ON public.api_usage(user_id, created_at DESC)
+  WHERE status = 'failed';
@@ -0,0 +1,161 @@
+-- Asynchronous analysis jobs
+-- A job holds up to 50 images that are analyzed one item at a time by the job worker
+-- (job-worker.js). Each completed item is charged on its own through consume_credits().
+-- Run after sql/create_consume_credits.sql.
+
+CREATE TABLE IF NOT EXISTS public.analysis_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+  -- Generation options shared by all items (context, system_prompt, thread, platform, persona_id, provider)
+  options JSONB NOT NULL DEFAULT '{}',
+  callback_url TEXT,
+  total_items INTEGER NOT NULL,
+  completed_items INTEGER NOT NULL DEFAULT 0,
+  failed_items INTEGER NOT NULL DEFAULT 0,
+  credits_used INTEGER NOT NULL DEFAULT 0,
+  callback_status TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS public.analysis_job_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID NOT NULL REFERENCES public.analysis_jobs(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+  -- Submitted screenshot; cleared once the item is finished
+  image_data TEXT,
+  image_metadata JSONB,
+  response TEXT,
+  truncated BOOLEAN NOT NULL DEFAULT FALSE,
+  error_code TEXT,
+  tokens_used INTEGER,
+  usage_id UUID REFERENCES public.api_usage(id) ON DELETE SET NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_created ON public.analysis_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analysis_job_items_pending ON public.analysis_job_items(created_at)
+  WHERE status IN ('queued', 'processing');
+
+ALTER TABLE public.analysis_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.analysis_job_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own analysis jobs" ON public.analysis_jobs
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own analysis job items" ON public.analysis_job_items
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access analysis_jobs" ON public.analysis_jobs
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+CREATE POLICY "Service role full access analysis_job_items" ON public.analysis_job_items
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+CREATE TRIGGER update_analysis_jobs_updated_at BEFORE UPDATE ON public.analysis_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_analysis_job_items_updated_at BEFORE UPDATE ON public.analysis_job_items
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Hand out the next items to a worker. Items stuck in 'processing' longer than p_lock_seconds
+-- (a crashed worker) are handed out again until they run out of attempts
+CREATE OR REPLACE FUNCTION claim_analysis_job_items(
+  p_limit INTEGER DEFAULT 5,
+  p_lock_seconds INTEGER DEFAULT 120,
+  p_max_attempts INTEGER DEFAULT 3
+)
+RETURNS SETOF public.analysis_job_items
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_job_id UUID;
+BEGIN
+  -- Give up on items whose worker crashed on every attempt
+  FOR v_job_id IN
+    UPDATE public.analysis_job_items
+    SET status = 'failed', error_code = 'worker_timeout', image_data = NULL, completed_at = NOW()
+    WHERE status = 'processing'
+      AND attempts >= p_max_attempts
+      AND locked_at < NOW() - make_interval(secs => p_lock_seconds)
+    RETURNING job_id
+  LOOP
+    PERFORM refresh_analysis_job(v_job_id);
+  END LOOP;
+
+  RETURN QUERY
+  UPDATE public.analysis_job_items i
+  SET status = 'processing', locked_at = NOW(), attempts = i.attempts + 1
+  WHERE i.id IN (
+    SELECT id
+    FROM public.analysis_job_items
+    WHERE attempts < p_max_attempts
+      AND (
+        status = 'queued'
+        OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => p_lock_seconds))
+      )
+    ORDER BY created_at ASC, position ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING i.*;
+END;
+$$;
+
+-- Recount a job's items and move the job to its current status; returns the job row
+CREATE OR REPLACE FUNCTION refresh_analysis_job(p_job_id UUID)
+RETURNS public.analysis_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_job public.analysis_jobs;
+BEGIN
+  UPDATE public.analysis_jobs j
+  SET completed_items = counts.completed,
+      failed_items = counts.failed,
+      credits_used = counts.credits,
+      status = CASE
+        WHEN counts.completed + counts.failed < j.total_items THEN
+          CASE WHEN counts.completed + counts.failed + counts.processing > 0 THEN 'processing' ELSE 'queued' END
+        WHEN counts.completed = 0 THEN 'failed'
+        ELSE 'completed'
+      END,
+      completed_at = CASE
+        WHEN counts.completed + counts.failed = j.total_items THEN COALESCE(j.completed_at, NOW())
+      END
+  FROM (
+    SELECT
+      COUNT(*) FILTER (WHERE i.status = 'completed') AS completed,
+      COUNT(*) FILTER (WHERE i.status = 'failed') AS failed,
+      COUNT(*) FILTER (WHERE i.status = 'processing') AS processing,
+      COALESCE(SUM(u.credits_used), 0) AS credits
+    FROM public.analysis_job_items i
+    LEFT JOIN public.api_usage u ON u.id = i.usage_id
+    WHERE i.job_id = p_job_id
+  ) counts
+  WHERE j.id = p_job_id
+  RETURNING j.* INTO v_job;
+
+  RETURN v_job;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_analysis_job_items TO service_role;
+GRANT EXECUTE ON FUNCTION refresh_analysis_job TO service_role;
+
+-- Only the worker (service role) may claim items or finish jobs; functions are executable by PUBLIC by default
+REVOKE EXECUTE ON FUNCTION claim_analysis_job_items FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_analysis_job FROM PUBLIC, anon, authenticated;
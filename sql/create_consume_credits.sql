@@ -0,0 +1,221 @@
+-- Atomic credit consumption
+-- consume_credits() charges credits, writes the api_usage rows and the ledger's consume entries
+-- and returns the new balance, all in one transaction. Credits come from a hold made by
+-- reserve_credits() when one is given (any unused part of the hold is returned), otherwise
+-- straight from the user's purchases, earliest expiry first.
+-- Run after sql/create_credit_transactions.sql.
+
+-- Insert one usage row from JSONB. Only the given keys are written, so every other column
+-- keeps its default (jsonb_populate_record alone would turn missing keys into NULLs)
+CREATE OR REPLACE FUNCTION insert_api_usage(p_row JSONB)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_id UUID;
+BEGIN
+  SELECT string_agg(quote_ident(c.column_name), ', ') INTO v_columns
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'api_usage'
+    AND p_row ? c.column_name;
+
+  EXECUTE format(
+    'INSERT INTO public.api_usage (%s) SELECT %s FROM jsonb_populate_record(NULL::public.api_usage, $1) RETURNING id',
+    v_columns,
+    v_columns
+  )
+  USING p_row
+  INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION consume_credits(
+  p_user_id UUID,
+  p_usage JSONB,
+  p_hold_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold RECORD;
+  v_record RECORD;
+  v_row JSONB;
+  v_sources JSONB := '[]';
+  v_total INTEGER;
+  v_available INTEGER;
+  v_needed INTEGER;
+  v_take INTEGER;
+  v_source_index INTEGER := 0;
+  v_source_left INTEGER := 0;
+  v_source JSONB;
+  v_usage_id UUID;
+  v_usage_ids UUID[] := '{}';
+BEGIN
+  IF jsonb_typeof(p_usage) <> 'array' OR jsonb_array_length(p_usage) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No usage rows given');
+  END IF;
+
+  SELECT COALESCE(SUM(COALESCE((r->>'credits_used')::INTEGER, 0)), 0) INTO v_total
+  FROM jsonb_array_elements(p_usage) r;
+
+  IF p_hold_id IS NOT NULL THEN
+    SELECT * INTO v_hold
+    FROM public.credit_holds
+    WHERE id = p_hold_id AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_hold.status <> 'held' THEN
+      RETURN jsonb_build_object('success', false, 'error', 'Credit hold is no longer active');
+    END IF;
+
+    IF v_total > v_hold.amount THEN
+      RETURN jsonb_build_object('success', false, 'error', 'Usage exceeds the reserved credits');
+    END IF;
+
+    v_sources := v_hold.allocations;
+  ELSIF v_total > 0 THEN
+    PERFORM expire_credit_holds(p_user_id);
+    PERFORM expire_credit_purchases(p_user_id);
+
+    -- Lock the user's active purchases so concurrent charges queue up here
+    SELECT COALESCE(SUM(remaining_credits), 0) INTO v_available
+    FROM (
+      SELECT remaining_credits
+      FROM public.credit_purchases
+      WHERE user_id = p_user_id
+        AND payment_status = 'completed'
+        AND expires_at > NOW()
+        AND remaining_credits > 0
+      FOR UPDATE
+    ) locked;
+
+    IF v_available < v_total THEN
+      RETURN jsonb_build_object(
+        'success', false,
+        'error', 'Insufficient credits',
+        'available_credits', v_available
+      );
+    END IF;
+
+    v_needed := v_total;
+    FOR v_record IN
+      SELECT id, remaining_credits, subscription_id
+      FROM public.credit_purchases
+      WHERE user_id = p_user_id
+        AND payment_status = 'completed'
+        AND expires_at > NOW()
+        AND remaining_credits > 0
+      ORDER BY expires_at ASC, created_at ASC
+    LOOP
+      EXIT WHEN v_needed <= 0;
+
+      v_take := LEAST(v_record.remaining_credits, v_needed);
+
+      UPDATE public.credit_purchases
+      SET remaining_credits = remaining_credits - v_take
+      WHERE id = v_record.id;
+
+      v_sources := v_sources || jsonb_build_array(jsonb_build_object(
+        'purchase_id', v_record.id,
+        'subscription_id', v_record.subscription_id,
+        'amount', v_take
+      ));
+      v_needed := v_needed - v_take;
+    END LOOP;
+  END IF;
+
+  FOR v_row IN SELECT jsonb_array_elements(p_usage)
+  LOOP
+    v_needed := COALESCE((v_row->>'credits_used')::INTEGER, 0);
+
+    -- Move to the next purchase once the current one is used up
+    IF v_needed > 0 AND v_source_left = 0 THEN
+      v_source := v_sources->v_source_index;
+      v_source_left := (v_source->>'amount')::INTEGER;
+      v_source_index := v_source_index + 1;
+    END IF;
+
+    v_usage_id := insert_api_usage(v_row || jsonb_build_object(
+      'user_id', p_user_id,
+      'purchase_id', CASE WHEN v_needed > 0 THEN v_source->>'purchase_id' END,
+      'subscription_id', CASE WHEN v_needed > 0 THEN v_source->>'subscription_id' END
+    ));
+
+    v_usage_ids := v_usage_ids || v_usage_id;
+
+    WHILE v_needed > 0 LOOP
+      IF v_source_left = 0 THEN
+        v_source := v_sources->v_source_index;
+        v_source_left := (v_source->>'amount')::INTEGER;
+        v_source_index := v_source_index + 1;
+      END IF;
+
+      v_take := LEAST(v_source_left, v_needed);
+
+      PERFORM append_credit_transaction(
+        p_user_id,
+        'consume',
+        -v_take,
+        (v_source->>'purchase_id')::UUID,
+        v_usage_id,
+        p_hold_id,
+        NULL
+      );
+
+      v_source_left := v_source_left - v_take;
+      v_needed := v_needed - v_take;
+    END LOOP;
+  END LOOP;
+
+  IF p_hold_id IS NOT NULL THEN
+    -- Return what the hold reserved but the usage did not need
+    IF v_source_left > 0 THEN
+      UPDATE public.credit_purchases
+      SET remaining_credits = remaining_credits + v_source_left
+      WHERE id = (v_source->>'purchase_id')::UUID;
+    END IF;
+
+    FOR v_source IN
+      SELECT value FROM jsonb_array_elements(v_sources) WITH ORDINALITY AS s(value, position)
+      WHERE position > v_source_index
+    LOOP
+      UPDATE public.credit_purchases
+      SET remaining_credits = remaining_credits + (v_source->>'amount')::INTEGER
+      WHERE id = (v_source->>'purchase_id')::UUID;
+    END LOOP;
+
+    UPDATE public.credit_holds
+    SET status = 'settled',
+        release_reason = CASE WHEN v_total < v_hold.amount THEN 'partially_used' END,
+        resolved_at = NOW()
+    WHERE id = p_hold_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'usage_ids', to_jsonb(v_usage_ids),
+    'credits_charged', v_total,
+    'available_credits', (get_credit_balance(p_user_id)->>'available_credits')::INTEGER
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION insert_api_usage TO service_role;
+GRANT EXECUTE ON FUNCTION consume_credits TO service_role;
+-- They write usage and charge whichever p_user_id they are given, so clients must never reach
+-- them through /rest/v1/rpc
+REVOKE EXECUTE ON FUNCTION insert_api_usage FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION consume_credits FROM PUBLIC, anon, authenticated;
+
+-- Superseded by consume_credits(): these changed remaining_credits without a ledger entry
+DROP FUNCTION IF EXISTS use_credits(UUID, INTEGER, BOOLEAN);
+DROP FUNCTION IF EXISTS decrement_credit(UUID, INTEGER);
@@ -0,0 +1,232 @@
+-- Credit reservation and settlement
+-- Credits are moved out of credit_purchases into a hold before the model is called,
+-- then either settled (kept) on success or released (returned) on failure or timeout.
+-- Holds that are never resolved (e.g. the function was killed) expire and are returned automatically.
+
+CREATE TABLE IF NOT EXISTS public.credit_holds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  -- [{ "purchase_id": "...", "amount": 1 }] - where the held credits were taken from
+  allocations JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'settled', 'released', 'expired')),
+  release_reason TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_holds_user_status ON public.credit_holds(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_credit_holds_expires_at ON public.credit_holds(expires_at) WHERE status = 'held';
+
+ALTER TABLE public.credit_holds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own credit holds" ON public.credit_holds
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access credit_holds" ON public.credit_holds
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+-- Return the credits of one hold to the purchases they came from
+CREATE OR REPLACE FUNCTION return_hold_credits(p_hold_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_allocation JSONB;
+BEGIN
+  FOR v_allocation IN
+    SELECT jsonb_array_elements(allocations) FROM public.credit_holds WHERE id = p_hold_id
+  LOOP
+    UPDATE public.credit_purchases
+    SET remaining_credits = remaining_credits + (v_allocation->>'amount')::INTEGER
+    WHERE id = (v_allocation->>'purchase_id')::UUID;
+  END LOOP;
+END;
+$$;
+
+-- Expire unresolved holds past their deadline (optionally for one user only)
+CREATE OR REPLACE FUNCTION expire_credit_holds(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold RECORD;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_hold IN
+    SELECT id FROM public.credit_holds
+    WHERE status = 'held'
+      AND expires_at <= NOW()
+      AND (p_user_id IS NULL OR user_id = p_user_id)
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    PERFORM return_hold_credits(v_hold.id);
+
+    UPDATE public.credit_holds
+    SET status = 'expired', release_reason = 'expired', resolved_at = NOW()
+    WHERE id = v_hold.id;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Atomically reserve credits, taking them from purchases with the earliest expiry first
+CREATE OR REPLACE FUNCTION reserve_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_ttl_seconds INTEGER DEFAULT 60
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_record RECORD;
+  v_available INTEGER;
+  v_needed INTEGER := p_amount;
+  v_take INTEGER;
+  v_allocations JSONB := '[]';
+  v_hold_id UUID;
+BEGIN
+  -- Return credits from this user's abandoned holds before checking the balance
+  PERFORM expire_credit_holds(p_user_id);
+
+  -- Lock the user's active purchases so concurrent reservations queue up here
+  SELECT COALESCE(SUM(remaining_credits), 0) INTO v_available
+  FROM (
+    SELECT remaining_credits
+    FROM public.credit_purchases
+    WHERE user_id = p_user_id
+      AND expires_at > NOW()
+      AND remaining_credits > 0
+    FOR UPDATE
+  ) locked;
+
+  IF v_available < p_amount THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'error', 'Insufficient credits',
+      'available_credits', v_available
+    );
+  END IF;
+
+  FOR v_record IN
+    SELECT id, remaining_credits, subscription_id
+    FROM public.credit_purchases
+    WHERE user_id = p_user_id
+      AND expires_at > NOW()
+      AND remaining_credits > 0
+    ORDER BY expires_at ASC, created_at ASC
+  LOOP
+    EXIT WHEN v_needed <= 0;
+
+    v_take := LEAST(v_record.remaining_credits, v_needed);
+
+    UPDATE public.credit_purchases
+    SET remaining_credits = remaining_credits - v_take
+    WHERE id = v_record.id;
+
+    v_allocations := v_allocations || jsonb_build_array(jsonb_build_object(
+      'purchase_id', v_record.id,
+      'subscription_id', v_record.subscription_id,
+      'amount', v_take
+    ));
+    v_needed := v_needed - v_take;
+  END LOOP;
+
+  INSERT INTO public.credit_holds (user_id, amount, allocations, expires_at)
+  VALUES (p_user_id, p_amount, v_allocations, NOW() + make_interval(secs => p_ttl_seconds))
+  RETURNING id INTO v_hold_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'hold_id', v_hold_id,
+    'purchase_id', v_allocations->0->>'purchase_id',
+    'subscription_id', v_allocations->0->>'subscription_id',
+    'available_credits', v_available - p_amount
+  );
+END;
+$$;
+
+-- Keep the held credits (generation succeeded)
+CREATE OR REPLACE FUNCTION settle_credit_hold(p_hold_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold RECORD;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds WHERE id = p_hold_id FOR UPDATE;
+
+  IF NOT FOUND OR v_hold.status <> 'held' THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'error', 'Credit hold is no longer active',
+      'status', v_hold.status
+    );
+  END IF;
+
+  UPDATE public.credit_holds
+  SET status = 'settled', resolved_at = NOW()
+  WHERE id = p_hold_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'purchase_id', v_hold.allocations->0->>'purchase_id',
+    'subscription_id', v_hold.allocations->0->>'subscription_id'
+  );
+END;
+$$;
+
+-- Return the held credits (generation failed or timed out)
+CREATE OR REPLACE FUNCTION release_credit_hold(p_hold_id UUID, p_reason TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold RECORD;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds WHERE id = p_hold_id FOR UPDATE;
+
+  IF NOT FOUND OR v_hold.status <> 'held' THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Credit hold is no longer active');
+  END IF;
+
+  PERFORM return_hold_credits(p_hold_id);
+
+  UPDATE public.credit_holds
+  SET status = 'released', release_reason = p_reason, resolved_at = NOW()
+  WHERE id = p_hold_id;
+
+  RETURN jsonb_build_object('success', true, 'amount', v_hold.amount);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reserve_credits TO service_role;
+GRANT EXECUTE ON FUNCTION settle_credit_hold TO service_role;
+GRANT EXECUTE ON FUNCTION release_credit_hold TO service_role;
+GRANT EXECUTE ON FUNCTION expire_credit_holds TO service_role;
+
+-- Functions are executable by PUBLIC (and Supabase's anon and authenticated roles) by default,
+-- which would let any client call them through /rest/v1/rpc. Only the service role may
+REVOKE EXECUTE ON FUNCTION return_hold_credits FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_credit_holds FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_credits FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION settle_credit_hold FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_credit_hold FROM PUBLIC, anon, authenticated;
+
+-- Schedule global expiry with pg_cron (optional; reservations also expire a user's stale holds):
+-- SELECT cron.schedule('expire-credit-holds', '* * * * *', 'SELECT expire_credit_holds()');
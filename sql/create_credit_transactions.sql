@@ -0,0 +1,526 @@
+-- Append-only credit ledger
+-- Every change to a user's balance is one row: grant (purchase, subscription, coupon), consume (usage),
+-- refund (usage reversed), expire (purchase ran out) or adjust (manual correction by support).
+-- The balance is the sum of a user's entries; credit_purchases.remaining_credits only tracks which
+-- purchase the next credits are taken from. Run after sql/create_credit_holds.sql.
+
+CREATE TABLE IF NOT EXISTS public.credit_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('grant', 'consume', 'refund', 'expire', 'adjust')),
+  -- Signed: positive for grant/refund, negative for consume/expire, either for adjust
+  amount INTEGER NOT NULL CHECK (amount <> 0),
+  balance_after INTEGER NOT NULL,
+  purchase_id UUID REFERENCES public.credit_purchases(id),
+  usage_id UUID REFERENCES public.api_usage(id),
+  hold_id UUID REFERENCES public.credit_holds(id),
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_user_created ON public.credit_transactions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_purchase_id ON public.credit_transactions(purchase_id);
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_usage_id ON public.credit_transactions(usage_id);
+
+ALTER TABLE public.credit_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own credit transactions" ON public.credit_transactions
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access credit_transactions" ON public.credit_transactions
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON TABLE public.credit_transactions IS 'Append-only credit ledger. The sum of a user''s entries is their balance.';
+
+-- Entries are never changed; corrections are new 'adjust' entries
+-- (rows are only removed together with their user)
+CREATE OR REPLACE FUNCTION prevent_credit_transaction_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM public.users WHERE id = OLD.user_id) THEN
+    RETURN OLD;
+  END IF;
+
+  RAISE EXCEPTION 'credit_transactions is append-only; record an adjust entry instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS credit_transactions_append_only ON public.credit_transactions;
+CREATE TRIGGER credit_transactions_append_only BEFORE UPDATE OR DELETE ON public.credit_transactions
+  FOR EACH ROW EXECUTE FUNCTION prevent_credit_transaction_changes();
+
+-- Append one ledger entry; entries for the same user are serialized so balance_after stays exact
+CREATE OR REPLACE FUNCTION append_credit_transaction(
+  p_user_id UUID,
+  p_type TEXT,
+  p_amount INTEGER,
+  p_purchase_id UUID DEFAULT NULL,
+  p_usage_id UUID DEFAULT NULL,
+  p_hold_id UUID DEFAULT NULL,
+  p_description TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_balance INTEGER;
+  v_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('credit_transactions:' || p_user_id::TEXT));
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_balance
+  FROM public.credit_transactions
+  WHERE user_id = p_user_id;
+
+  INSERT INTO public.credit_transactions (
+    user_id, type, amount, balance_after, purchase_id, usage_id, hold_id, description
+  )
+  VALUES (
+    p_user_id, p_type, p_amount, v_balance + p_amount, p_purchase_id, p_usage_id, p_hold_id, p_description
+  )
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+-- Grant credits when a completed purchase is recorded (Stripe webhook, coupon, renewals, manual)
+CREATE OR REPLACE FUNCTION grant_purchase_credits()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.payment_status = 'completed'
+     AND NEW.remaining_credits > 0
+     AND (TG_OP = 'INSERT' OR OLD.payment_status <> 'completed') THEN
+    PERFORM append_credit_transaction(
+      NEW.user_id,
+      'grant',
+      NEW.remaining_credits,
+      NEW.id,
+      NULL,
+      NULL,
+      NEW.purchase_type || ' purchase'
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS credit_purchases_grant ON public.credit_purchases;
+CREATE TRIGGER credit_purchases_grant AFTER INSERT OR UPDATE OF payment_status ON public.credit_purchases
+  FOR EACH ROW EXECUTE FUNCTION grant_purchase_credits();
+
+-- Expire the unused credits of purchases past their expiry date (optionally for one user only)
+CREATE OR REPLACE FUNCTION expire_credit_purchases(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_purchase RECORD;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_purchase IN
+    SELECT id, user_id, remaining_credits
+    FROM public.credit_purchases
+    WHERE expires_at <= NOW()
+      AND payment_status = 'completed'
+      AND remaining_credits > 0
+      AND (p_user_id IS NULL OR user_id = p_user_id)
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    UPDATE public.credit_purchases
+    SET remaining_credits = 0
+    WHERE id = v_purchase.id;
+
+    PERFORM append_credit_transaction(
+      v_purchase.user_id,
+      'expire',
+      -v_purchase.remaining_credits,
+      v_purchase.id,
+      NULL,
+      NULL,
+      'Purchase expired'
+    );
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Current balance: ledger total, credits held by in-flight requests and what is left to spend
+CREATE OR REPLACE FUNCTION get_credit_balance(p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_balance INTEGER;
+  v_held INTEGER;
+  v_next_expiry TIMESTAMP WITH TIME ZONE;
+BEGIN
+  PERFORM expire_credit_holds(p_user_id);
+  PERFORM expire_credit_purchases(p_user_id);
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_balance
+  FROM public.credit_transactions
+  WHERE user_id = p_user_id;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_held
+  FROM public.credit_holds
+  WHERE user_id = p_user_id AND status = 'held';
+
+  SELECT MIN(expires_at) INTO v_next_expiry
+  FROM public.credit_purchases
+  WHERE user_id = p_user_id
+    AND payment_status = 'completed'
+    AND expires_at > NOW()
+    AND remaining_credits > 0;
+
+  RETURN jsonb_build_object(
+    'balance', v_balance,
+    'held_credits', v_held,
+    'available_credits', GREATEST(v_balance - v_held, 0),
+    'next_expiry_date', v_next_expiry
+  );
+END;
+$$;
+
+-- Reservations only draw on completed purchases, matching what the ledger granted
+CREATE OR REPLACE FUNCTION reserve_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_ttl_seconds INTEGER DEFAULT 60
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_record RECORD;
+  v_available INTEGER;
+  v_needed INTEGER := p_amount;
+  v_take INTEGER;
+  v_allocations JSONB := '[]';
+  v_hold_id UUID;
+BEGIN
+  -- Return credits from this user's abandoned holds and expire old purchases first
+  PERFORM expire_credit_holds(p_user_id);
+  PERFORM expire_credit_purchases(p_user_id);
+
+  -- Lock the user's active purchases so concurrent reservations queue up here
+  SELECT COALESCE(SUM(remaining_credits), 0) INTO v_available
+  FROM (
+    SELECT remaining_credits
+    FROM public.credit_purchases
+    WHERE user_id = p_user_id
+      AND payment_status = 'completed'
+      AND expires_at > NOW()
+      AND remaining_credits > 0
+    FOR UPDATE
+  ) locked;
+
+  IF v_available < p_amount THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'error', 'Insufficient credits',
+      'available_credits', v_available
+    );
+  END IF;
+
+  FOR v_record IN
+    SELECT id, remaining_credits, subscription_id
+    FROM public.credit_purchases
+    WHERE user_id = p_user_id
+      AND payment_status = 'completed'
+      AND expires_at > NOW()
+      AND remaining_credits > 0
+    ORDER BY expires_at ASC, created_at ASC
+  LOOP
+    EXIT WHEN v_needed <= 0;
+
+    v_take := LEAST(v_record.remaining_credits, v_needed);
+
+    UPDATE public.credit_purchases
+    SET remaining_credits = remaining_credits - v_take
+    WHERE id = v_record.id;
+
+    v_allocations := v_allocations || jsonb_build_array(jsonb_build_object(
+      'purchase_id', v_record.id,
+      'subscription_id', v_record.subscription_id,
+      'amount', v_take
+    ));
+    v_needed := v_needed - v_take;
+  END LOOP;
+
+  INSERT INTO public.credit_holds (user_id, amount, allocations, expires_at)
+  VALUES (p_user_id, p_amount, v_allocations, NOW() + make_interval(secs => p_ttl_seconds))
+  RETURNING id INTO v_hold_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'hold_id', v_hold_id,
+    'purchase_id', v_allocations->0->>'purchase_id',
+    'subscription_id', v_allocations->0->>'subscription_id',
+    'available_credits', v_available - p_amount
+  );
+END;
+$$;
+
+-- Settling a hold now records the consumption in the ledger, one entry per purchase and
+-- usage row; the hold's amount is split evenly across p_usage_ids (one row per batch image)
+DROP FUNCTION IF EXISTS settle_credit_hold(UUID);
+
+CREATE OR REPLACE FUNCTION settle_credit_hold(p_hold_id UUID, p_usage_ids UUID[] DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold RECORD;
+  v_allocation JSONB;
+  v_usage_count INTEGER;
+  v_usage_index INTEGER := 1;
+  v_usage_left INTEGER;
+  v_allocation_left INTEGER;
+  v_take INTEGER;
+BEGIN
+  SELECT * INTO v_hold FROM public.credit_holds WHERE id = p_hold_id FOR UPDATE;
+
+  IF NOT FOUND OR v_hold.status <> 'held' THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'error', 'Credit hold is no longer active',
+      'status', v_hold.status
+    );
+  END IF;
+
+  v_usage_count := GREATEST(COALESCE(array_length(p_usage_ids, 1), 0), 1);
+  v_usage_left := v_hold.amount / v_usage_count;
+
+  FOR v_allocation IN SELECT jsonb_array_elements(v_hold.allocations)
+  LOOP
+    v_allocation_left := (v_allocation->>'amount')::INTEGER;
+
+    WHILE v_allocation_left > 0 LOOP
+      -- The last usage row absorbs any remainder of an uneven split
+      IF v_usage_index = v_usage_count THEN
+        v_take := v_allocation_left;
+      ELSE
+        v_take := LEAST(v_allocation_left, v_usage_left);
+      END IF;
+
+      PERFORM append_credit_transaction(
+        v_hold.user_id,
+        'consume',
+        -v_take,
+        (v_allocation->>'purchase_id')::UUID,
+        p_usage_ids[v_usage_index],
+        p_hold_id,
+        NULL
+      );
+
+      v_allocation_left := v_allocation_left - v_take;
+      v_usage_left := v_usage_left - v_take;
+
+      IF v_usage_left <= 0 AND v_usage_index < v_usage_count THEN
+        v_usage_index := v_usage_index + 1;
+        v_usage_left := v_hold.amount / v_usage_count;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  UPDATE public.credit_holds
+  SET status = 'settled', resolved_at = NOW()
+  WHERE id = p_hold_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'purchase_id', v_hold.allocations->0->>'purchase_id',
+    'subscription_id', v_hold.allocations->0->>'subscription_id'
+  );
+END;
+$$;
+
+-- Reverse the charge of one usage row, returning its credits to the purchases they came from
+CREATE OR REPLACE FUNCTION refund_credit_usage(p_usage_id UUID, p_description TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry RECORD;
+  v_refunded INTEGER := 0;
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM public.credit_transactions WHERE usage_id = p_usage_id AND type = 'refund'
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Usage has already been refunded');
+  END IF;
+
+  FOR v_entry IN
+    SELECT user_id, purchase_id, amount
+    FROM public.credit_transactions
+    WHERE usage_id = p_usage_id AND type = 'consume'
+  LOOP
+    UPDATE public.credit_purchases
+    SET remaining_credits = remaining_credits - v_entry.amount
+    WHERE id = v_entry.purchase_id;
+
+    PERFORM append_credit_transaction(
+      v_entry.user_id,
+      'refund',
+      -v_entry.amount,
+      v_entry.purchase_id,
+      p_usage_id,
+      NULL,
+      p_description
+    );
+
+    v_refunded := v_refunded - v_entry.amount;
+  END LOOP;
+
+  IF v_refunded = 0 THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No charge found for this usage');
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'refunded_credits', v_refunded);
+END;
+$$;
+
+-- Manual correction by support. Positive amounts are added to the user's latest active purchase;
+-- negative amounts are taken from active purchases, earliest expiry first
+CREATE OR REPLACE FUNCTION adjust_credits(p_user_id UUID, p_amount INTEGER, p_description TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_record RECORD;
+  v_needed INTEGER := -p_amount;
+  v_take INTEGER;
+BEGIN
+  IF p_amount = 0 OR p_description IS NULL OR p_description = '' THEN
+    RETURN jsonb_build_object('success', false, 'error', 'A non-zero amount and a description are required');
+  END IF;
+
+  IF p_amount > 0 THEN
+    SELECT id INTO v_record
+    FROM public.credit_purchases
+    WHERE user_id = p_user_id
+      AND payment_status = 'completed'
+      AND expires_at > NOW()
+    ORDER BY expires_at DESC
+    LIMIT 1
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object('success', false, 'error', 'User has no active purchase to credit');
+    END IF;
+
+    UPDATE public.credit_purchases
+    SET remaining_credits = remaining_credits + p_amount
+    WHERE id = v_record.id;
+
+    PERFORM append_credit_transaction(p_user_id, 'adjust', p_amount, v_record.id, NULL, NULL, p_description);
+  ELSE
+    FOR v_record IN
+      SELECT id, remaining_credits
+      FROM public.credit_purchases
+      WHERE user_id = p_user_id
+        AND payment_status = 'completed'
+        AND expires_at > NOW()
+        AND remaining_credits > 0
+      ORDER BY expires_at ASC, created_at ASC
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_needed <= 0;
+
+      v_take := LEAST(v_record.remaining_credits, v_needed);
+
+      UPDATE public.credit_purchases
+      SET remaining_credits = remaining_credits - v_take
+      WHERE id = v_record.id;
+
+      PERFORM append_credit_transaction(p_user_id, 'adjust', -v_take, v_record.id, NULL, NULL, p_description);
+      v_needed := v_needed - v_take;
+    END LOOP;
+
+    IF v_needed > 0 THEN
+      RAISE EXCEPTION 'User only has % of % credits to remove', -p_amount - v_needed, -p_amount;
+    END IF;
+  END IF;
+
+  RETURN get_credit_balance(p_user_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_credit_balance TO service_role;
+GRANT EXECUTE ON FUNCTION settle_credit_hold TO service_role;
+GRANT EXECUTE ON FUNCTION refund_credit_usage TO service_role;
+GRANT EXECUTE ON FUNCTION adjust_credits TO service_role;
+GRANT EXECUTE ON FUNCTION expire_credit_purchases TO service_role;
+
+-- Only the service role may move credits (settle_credit_hold was recreated above, so it starts
+-- with the default PUBLIC execute again)
+REVOKE EXECUTE ON FUNCTION append_credit_transaction FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_credit_purchases FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_credit_balance FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_credits FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION settle_credit_hold FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refund_credit_usage FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION adjust_credits FROM PUBLIC, anon, authenticated;
+
+-- Backfill: open the ledger with each existing purchase's grant and the credits already used from it
+INSERT INTO public.credit_transactions (user_id, type, amount, balance_after, purchase_id, description, created_at)
+SELECT user_id, 'grant', credits, 0, id, purchase_type || ' purchase', created_at
+FROM public.credit_purchases
+WHERE payment_status = 'completed' AND credits > 0
+  AND NOT EXISTS (SELECT 1 FROM public.credit_transactions t WHERE t.purchase_id = credit_purchases.id);
+
+-- (credits sitting in open holds are not used yet; they are consumed when the hold settles)
+INSERT INTO public.credit_transactions (user_id, type, amount, balance_after, purchase_id, description)
+SELECT p.user_id, 'adjust', p.remaining_credits + COALESCE(h.held, 0) - p.credits, 0, p.id,
+  'Usage before the ledger was introduced'
+FROM public.credit_purchases p
+LEFT JOIN LATERAL (
+  SELECT SUM((a->>'amount')::INTEGER) AS held
+  FROM public.credit_holds, jsonb_array_elements(allocations) a
+  WHERE status = 'held' AND (a->>'purchase_id')::UUID = p.id
+) h ON TRUE
+WHERE p.payment_status = 'completed' AND p.remaining_credits + COALESCE(h.held, 0) < p.credits
+  AND NOT EXISTS (
+    SELECT 1 FROM public.credit_transactions t WHERE t.purchase_id = p.id AND t.type = 'adjust'
+  );
+
+-- Backfilled rows are inserted without balances; fill in the running totals once
+ALTER TABLE public.credit_transactions DISABLE TRIGGER credit_transactions_append_only;
+
+UPDATE public.credit_transactions t
+SET balance_after = running.balance
+FROM (
+  SELECT id, SUM(amount) OVER (PARTITION BY user_id ORDER BY created_at, id) AS balance
+  FROM public.credit_transactions
+) running
+WHERE t.id = running.id;
+
+ALTER TABLE public.credit_transactions ENABLE TRIGGER credit_transactions_append_only;
+
+-- Schedule global purchase expiry with pg_cron (optional; balance lookups also expire a user's purchases):
+-- SELECT cron.schedule('expire-credit-purchases', '0 * * * *', 'SELECT expire_credit_purchases()');
@@ -0,0 +1,49 @@
+-- Stored generation context for refinements
+-- api_usage keeps only a short preview of each response, so the full response and the text
+-- inputs it was generated from are kept here (keyed by the usage row) for /api/refine.
+-- Screenshots are not stored.
+
+CREATE TABLE IF NOT EXISTS public.generation_contexts (
+  usage_id UUID PRIMARY KEY REFERENCES public.api_usage(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  response TEXT NOT NULL,
+  candidates JSONB,
+  context TEXT,
+  post_text TEXT,
+  system_prompt TEXT,
+  platform TEXT,
+  persona_id UUID REFERENCES public.personas(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_contexts_user_id ON public.generation_contexts(user_id);
+CREATE INDEX IF NOT EXISTS idx_generation_contexts_expires_at ON public.generation_contexts(expires_at);
+
+ALTER TABLE public.generation_contexts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access generation_contexts" ON public.generation_contexts
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+-- Refinements are usage rows of their own that point at the generation they revised
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS parent_usage_id UUID REFERENCES public.api_usage(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS refine_instruction TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_parent_usage_id ON public.api_usage(parent_usage_id);
+
+ALTER TABLE public.api_usage DROP CONSTRAINT IF EXISTS api_usage_input_mode_check;
+ALTER TABLE public.api_usage
+  ADD CONSTRAINT api_usage_input_mode_check CHECK (input_mode IN ('image', 'text', 'image_text', 'refine'));
+
+-- Remove expired contexts (schedule with pg_cron, e.g. daily)
+CREATE OR REPLACE FUNCTION purge_expired_generation_contexts()
+RETURNS INTEGER AS $$
+DECLARE
+  deleted_count INTEGER;
+BEGIN
+  DELETE FROM public.generation_contexts WHERE expires_at <= NOW();
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+  RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,122 @@
+-- Feedback on generations
+-- The extension reports a thumbs up/down, the text the user actually posted and whether it was
+-- posted. One row per api_usage row; later reports update it. Run after
+-- sql/create_generation_contexts.sql.
+
+CREATE TABLE IF NOT EXISTS public.generation_feedback (
+  usage_id UUID PRIMARY KEY REFERENCES public.api_usage(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  rating TEXT CHECK (rating IN ('up', 'down')),
+  final_text TEXT,
+  -- Whether final_text differs from the generated response (NULL when it cannot be compared)
+  edited BOOLEAN,
+  posted BOOLEAN NOT NULL DEFAULT FALSE,
+  posted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_feedback_user_id ON public.generation_feedback(user_id);
+
+ALTER TABLE public.generation_feedback ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own generation feedback" ON public.generation_feedback
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access generation_feedback" ON public.generation_feedback
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+CREATE TRIGGER update_generation_feedback_updated_at BEFORE UPDATE ON public.generation_feedback
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Feedback totals per persona and platform for generations created in [p_since, p_until), for
+-- all users or only p_user_id. Failed generations are excluded. Operators only (SQL editor)
+CREATE OR REPLACE FUNCTION get_feedback_report_all(
+  p_since TIMESTAMP WITH TIME ZONE,
+  p_until TIMESTAMP WITH TIME ZONE,
+  p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  persona_id UUID,
+  persona_name TEXT,
+  platform TEXT,
+  generations BIGINT,
+  rated BIGINT,
+  thumbs_up BIGINT,
+  thumbs_down BIGINT,
+  edited BIGINT,
+  posted BIGINT,
+  approval_rate NUMERIC,
+  edit_rate NUMERIC,
+  post_rate NUMERIC
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    u.persona_id,
+    p.name AS persona_name,
+    u.platform,
+    COUNT(*) AS generations,
+    COUNT(f.rating) AS rated,
+    COUNT(*) FILTER (WHERE f.rating = 'up') AS thumbs_up,
+    COUNT(*) FILTER (WHERE f.rating = 'down') AS thumbs_down,
+    COUNT(*) FILTER (WHERE f.edited) AS edited,
+    COUNT(*) FILTER (WHERE f.posted) AS posted,
+    -- Share of rated generations that got a thumbs up
+    ROUND(COUNT(*) FILTER (WHERE f.rating = 'up')::NUMERIC / NULLIF(COUNT(f.rating), 0), 3) AS approval_rate,
+    -- Share of compared final texts that were changed before posting
+    ROUND(COUNT(*) FILTER (WHERE f.edited)::NUMERIC / NULLIF(COUNT(f.edited), 0), 3) AS edit_rate,
+    ROUND(COUNT(*) FILTER (WHERE f.posted)::NUMERIC / COUNT(*), 3) AS post_rate
+  FROM public.api_usage u
+  LEFT JOIN public.generation_feedback f ON f.usage_id = u.id
+  LEFT JOIN public.personas p ON p.id = u.persona_id
+  WHERE (p_user_id IS NULL OR u.user_id = p_user_id)
+    AND u.created_at >= p_since
+    AND u.created_at < p_until
+    AND COALESCE(u.status, 'success') = 'success'
+  GROUP BY u.persona_id, p.name, u.platform
+  ORDER BY generations DESC;
+$$;
+
+-- One user's report, for /api/feedback. A user id is required: NULL never means all users
+CREATE OR REPLACE FUNCTION get_feedback_report(
+  p_user_id UUID,
+  p_since TIMESTAMP WITH TIME ZONE,
+  p_until TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  persona_id UUID,
+  persona_name TEXT,
+  platform TEXT,
+  generations BIGINT,
+  rated BIGINT,
+  thumbs_up BIGINT,
+  thumbs_down BIGINT,
+  edited BIGINT,
+  posted BIGINT,
+  approval_rate NUMERIC,
+  edit_rate NUMERIC,
+  post_rate NUMERIC
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'p_user_id is required';
+  END IF;
+
+  RETURN QUERY SELECT * FROM get_feedback_report_all(p_since, p_until, p_user_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_feedback_report TO service_role;
+GRANT EXECUTE ON FUNCTION get_feedback_report_all TO service_role;
+-- Reports read any user's usage, so clients must never reach them through /rest/v1/rpc
+REVOKE EXECUTE ON FUNCTION get_feedback_report FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_feedback_report_all FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,69 @@
+-- Saved tone and persona presets per user
+-- Requests pass persona_id to /api/analyze and /api/analyze-batch instead of a free-text systemPrompt
+
+CREATE TABLE IF NOT EXISTS public.personas (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  tone TEXT,
+  description TEXT,
+  banned_phrases TEXT[] NOT NULL DEFAULT '{}',
+  signature_style TEXT,
+  examples TEXT[] NOT NULL DEFAULT '{}',
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_personas_user_id ON public.personas(user_id);
+
+-- At most one default persona per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_personas_one_default
+  ON public.personas(user_id) WHERE is_default;
+
+-- Persona used for each generation
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS persona_id UUID REFERENCES public.personas(id) ON DELETE SET NULL;
+
+ALTER TABLE public.personas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own personas" ON public.personas
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access personas" ON public.personas
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+CREATE TRIGGER update_personas_updated_at BEFORE UPDATE ON public.personas
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Make one persona the user's default (clears the previous default in the same transaction)
+-- Returns the persona id, or NULL when the persona does not belong to the user
+CREATE OR REPLACE FUNCTION set_default_persona(p_user_id UUID, p_persona_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.personas WHERE id = p_persona_id AND user_id = p_user_id
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.personas
+  SET is_default = FALSE
+  WHERE user_id = p_user_id AND is_default AND id <> p_persona_id;
+
+  UPDATE public.personas
+  SET is_default = TRUE
+  WHERE id = p_persona_id;
+
+  RETURN p_persona_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_default_persona TO service_role;
+-- It changes the personas of whichever p_user_id it is given, so clients must never reach it through /rest/v1/rpc
+REVOKE EXECUTE ON FUNCTION set_default_persona FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,35 @@
+-- Response cache for repeated analyses of the same post
+-- cache_key is a SHA-256 of the model request (normalized image hash, prompt, persona, platform, model)
+
+CREATE TABLE IF NOT EXISTS public.response_cache (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  cache_key TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE (user_id, cache_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at ON public.response_cache(expires_at);
+
+-- Whether a usage row was served from the cache
+ALTER TABLE public.api_usage
+  ADD COLUMN IF NOT EXISTS cached BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE public.response_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access response_cache" ON public.response_cache
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+-- Remove expired entries (schedule with pg_cron, e.g. hourly)
+CREATE OR REPLACE FUNCTION purge_expired_response_cache()
+RETURNS INTEGER AS $$
+DECLARE
+  deleted_count INTEGER;
+BEGIN
+  DELETE FROM public.response_cache WHERE expires_at <= NOW();
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+  RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;